@@ -12,7 +12,9 @@ const util = require("./util.js");
 // into a few sections.
 //
 // The first section defines elementary buffer operations, such as pushing text
-// onto the buffer or retrieving the content of the buffer.
+// onto the buffer or retrieving the content of the buffer. The buffer has a
+// cursor, which may be anywhere in the text: text is pushed and popped at the
+// cursor, and the cursor is shown at its position within the text.
 //
 // The second section defines buffer write procedures. These are the types of
 // operations that are exposed to enable clients (namely menu buttons to write
@@ -24,15 +26,29 @@ const util = require("./util.js");
 // asynchronously (e.g. for reading the buffer text), they take an extra
 // callback argument. They perform their action, and then invoke the callback to
 // return control to the caller (typically a menu button). They are registered
-// in the "actions" table.
+// in the "actions" table. Besides reading and clearing, the actions delete a
+// character, a word or a sentence, and move the cursor by a character, a word
+// or a sentence, or to either end of the text. The "smart" delete removes a
+// whole word chosen from the guesses, with its trailing space, if nothing has
+// changed since it was written; otherwise it deletes a character.
+//
+// The buffer also keeps a history of its states (the text and the cursor), so
+// that the "undo" action reverses the last write or action that changed the
+// buffer, whatever it was (a whole guessed word, or clearing the buffer, for
+// instance), and "redo" puts it back. Writing anew forgets what was undone.
 
 // The final section defines the object returned by the procedure. This object
 // exposes methods to get the buffer text, add and remove listeners, write to
-// the buffer, and execute actions. When the "write" method is invoked, a
-// dispatch is performed based on the type of the text being entered. This type
-// is passed in from the menu button that called the "write" method. Similar for
-// the "executeAction" method, except that "write" executes synchronously while
-// "executeAction" invokes a callback when finished.
+// the buffer, and execute actions. Besides changes to the text, listeners may
+// be told about each word that is finished, whether it was spelled out letter
+// by letter or chosen from the guesses (or ended by the message being read,
+// cleared or sent, see finishMessage), about each message (that is, the
+// whole buffer text) that is read aloud, and about each message that is
+// cleared. When the "write" method is invoked, a dispatch is performed based
+// on the type of the text being entered. This type is passed in from the menu
+// button that called the "write" method. Similar for the "executeAction"
+// method, except that "write" executes synchronously while "executeAction"
+// invokes a callback when finished.
 
 // A convention: one-line procedures are expressed as arrow functions for
 // brevity. Others use the older syntax.
@@ -49,6 +65,7 @@ function buffer(speaker) {
     const AFTER_BEEP_WAIT = 1000; // Time after beep before reading buffer text.
     const BEEP_FREQ = 350;       // Beep to announce buffer reading.
     const AFTER_READ_WAIT = 2000; // After reading buffer text, wait 2s before scanning.
+    const MAX_HISTORY = 100;     // The number of changes that can be undone.
 
     // Procedure dispatch tables.
     let writers = {};
@@ -60,40 +77,95 @@ function buffer(speaker) {
     let emitter = new EventEmitter();
     let bufferElem = document.getElementById("bufferContainer");
     let textElem = bufferElem.querySelector("p");
-    let bufferText = CURSOR;
+    let bufferText = "";        // The text, without the cursor.
+    let cursor = 0;             // The position of the cursor in the text.
+    const undoStack = [];       // States of the buffer before each change, latest last.
+    const redoStack = [];       // States undone, latest last.
+    let lastGuess = null;       // The state of the buffer just after a guessed word was written.
+    let finishedText = null;    // The text whose last word was last finished by finishMessage.
     let fontSizeElem = document.querySelector("input[type=number][name=fontSize]");
 
     // ********************************************************************** //
 
     // Elementary buffer operations
 
-    const getText = () => bufferText.slice(0, -1);
+    const getText = () => bufferText;
+
+    const getTextBeforeCursor = () => bufferText.slice(0, cursor);
 
     const emitChange = () => emitter.emit("bufferChange");
 
-    const update = () => textElem.textContent = bufferText; // Update text displayed in the DOM element.
+    function update() {
+        // Update text displayed in the DOM element, with the cursor in place.
+        let cursorElem = document.createElement("span");
+        cursorElem.className = "cursor";
+        cursorElem.textContent = CURSOR;
+        textElem.textContent = "";
+        textElem.appendChild(document.createTextNode(bufferText.slice(0, cursor)));
+        textElem.appendChild(cursorElem);
+        textElem.appendChild(document.createTextNode(bufferText.slice(cursor)));
+    }
+
+    function push(str) {         // Push a string onto the buffer, at the cursor.
+        bufferText = bufferText.slice(0, cursor) + str + bufferText.slice(cursor);
+        cursor += str.length;
+        update();
+    }
+
+    function pop() {        // Pop the character before the cursor off the buffer.
+        if (cursor > 0) {
+            bufferText = bufferText.slice(0, cursor - 1) + bufferText.slice(cursor);
+            cursor -= 1;
+            update();
+        }
+    }
+
+    const getState = () => ({ text: bufferText, cursor });
+
+    function setState(state) {
+        bufferText = state.text;
+        cursor = state.cursor;
+        update();
+    }
+
+    function record(before) {
+        // Remember the state before a change, unless nothing changed.
+        if (before.text !== bufferText || before.cursor !== cursor) {
+            undoStack.push(before);
+            if (undoStack.length > MAX_HISTORY) {
+                undoStack.shift();
+            }
+            redoStack.length = 0;
+        }
+    }
 
-    function push(str) {         // Push a string onto the buffer.
-        bufferText += str;
+    function deleteTo(position) {
+        // Delete the text between position and the cursor.
+        bufferText = bufferText.slice(0, position) + bufferText.slice(cursor);
+        cursor = position;
         update();
     }
 
-    function pop() {        // Pop a character off the end of the buffer.
-        bufferText = bufferText.slice(0, -1);
+    function moveTo(position) { // Move the cursor, staying within the text.
+        cursor = Math.min(Math.max(position, 0), bufferText.length);
         update();
     }
 
     const isTerminalPunctuation = (char) => char.match(/[.!?]/) !== null;
 
-    const isBufferWordStart = () => getText() === "" || getText().slice(-1) == " ";
+    const isBufferWordStart = () => cursor === 0 || bufferText.charAt(cursor - 1) === " ";
+
+    const isBufferWordEnd = () => cursor === bufferText.length || bufferText.charAt(cursor) === " ";
 
-    function isBufferSentenceStart() {
-        let text = getText();
+    function isSentenceStart(position) {
+        let text = bufferText.slice(0, position);
         return (text === "" ||
                 (text.slice(-1) === " " &&
                  isTerminalPunctuation(text.slice(-2))));
     }
 
+    const isBufferSentenceStart = () => isSentenceStart(cursor);
+
     function updateFontSize() {
         let size = fontSizeElem.value + "px";
         bufferElem.style.fontSize = size;
@@ -104,11 +176,7 @@ function buffer(speaker) {
 
     // Buffer writers
 
-    function writeText(text) {         // Generic procedure to write to buffer.
-        pop();                  // Get cursor out of the way
-        push(text);
-        push(CURSOR);           // Add the cursor back
-    }
+    const writeText = (text) => push(text); // Generic procedure to write to buffer.
 
     function writeLetter(text) {
         // For letters, capitalize if at beginning of sentence
@@ -117,28 +185,77 @@ function buffer(speaker) {
     }
     registerWriter("letter", writeLetter);
 
-    const writeSpace = () => writeText(" ");
+    function finishWord() {
+        // Invoked just before a word is ended by a space or punctuation. Let
+        // listeners know which word was written, unless there's no word to end
+        // (the cursor isn't just after a word, or is in the middle of one).
+        if (!isBufferWordStart() && isBufferWordEnd()) {
+            let word = getTextBeforeCursor().split(" ").slice(-1)[0];
+            emitter.emit("wordWritten", word);
+        }
+    }
+
+    function finishMessage() {
+        // Invoked when the message is read, cleared or sent. Its last word may
+        // not have been ended by a space or punctuation; if so, let listeners
+        // know about it, unless they already heard about it for this text.
+        let lastWord = bufferText.split(" ").slice(-1)[0];
+        if (lastWord !== "" && bufferText !== finishedText) {
+            finishedText = bufferText;
+            emitter.emit("wordWritten", lastWord);
+        }
+    }
+
+    function writeSpace() {
+        finishWord();
+        writeText(" ");
+    }
     registerWriter("space", writeSpace);
 
     function writeWord(text) {     // Write a whole word to the buffer. Used in word guessing.
-        while (!isBufferWordStart()) // Clear out partial word.
+        while (!isBufferWordEnd())   // Replace the whole word around the cursor,
+            cursor += 1;
+        while (!isBufferWordStart()) // clearing it out from its end.
             pop();
         let toWrite = isBufferSentenceStart() ? util.capitalize(text) : text;
         writeText(toWrite);
-        writeSpace();
+        if (bufferText.charAt(cursor) === " ") {
+            finishWord();           // There's a space already; move past it.
+            moveTo(cursor + 1);
+        } else {
+            writeSpace();
+        }
     }
     registerWriter("word", writeWord);
 
+    function writePhrase(text) {   // Write a whole phrase from the phrase bank, as a new word.
+        if (!isBufferWordStart()) {
+            writeSpace();
+        }
+        let toWrite = isBufferSentenceStart() ? util.capitalize(text) : text;
+        writeText(toWrite);
+        writeSpace();
+    }
+    registerWriter("phrase", writePhrase);
+
+    function writeHistory(text) {  // Replace the buffer text by a message from the history.
+        bufferText = text;
+        cursor = text.length;
+        update();
+    }
+    registerWriter("history", writeHistory);
+
     // Do the same thing to write a non-terminal punctuation character as for generic text.
     registerWriter("nonTerminalPunctuation", writeText);
 
     function writeTerminalPunctuation(text) {
+        finishWord();
         if (isBufferWordStart() && !isBufferSentenceStart()) {
             // This covers the case where the last word was autocompleted and a space inserted.
             pop();
         }
         writeText(text);
-        writeSpace();           // Add space to start new word
+        writeText(" ");         // Add space to start new word
     }
     registerWriter("terminalPunctuation", writeTerminalPunctuation);
 
@@ -147,15 +264,120 @@ function buffer(speaker) {
     // Buffer actions.
 
     function deleteText(cb) {
-        pop();                  // Need to pop the cursor and the last letter
         pop();
-        push(CURSOR);           // Then add the cursor back
         emitChange();
         cb();
     }
     registerAction("delete", deleteText);
 
+    function findWordStart(position) {
+        // The start of the word before position, skipping spaces in between.
+        while (position > 0 && bufferText.charAt(position - 1) === " ") {
+            position -= 1;
+        }
+        while (position > 0 && bufferText.charAt(position - 1) !== " ") {
+            position -= 1;
+        }
+        return position;
+    }
+
+    function findWordEnd(position) {
+        // The end of the word after position, skipping spaces in between.
+        while (position < bufferText.length && bufferText.charAt(position) === " ") {
+            position += 1;
+        }
+        while (position < bufferText.length && bufferText.charAt(position) !== " ") {
+            position += 1;
+        }
+        return position;
+    }
+
+    function findSentenceStart(position) {
+        // The start of the sentence before position. If position is already
+        // at the start of a sentence, the start of the previous sentence.
+        let start = position;
+        do {
+            start = findWordStart(start);
+        } while (!isSentenceStart(start));
+        return start;
+    }
+
+    function findSentenceEnd(position) {
+        // The start of the sentence after position, or the end of the text
+        // if there's none.
+        let end = position;
+        do {
+            end = findWordEnd(end);
+        } while (end < bufferText.length && !isTerminalPunctuation(bufferText.charAt(end - 1)));
+        while (end < bufferText.length && bufferText.charAt(end) === " ") {
+            end += 1;
+        }
+        return end;
+    }
+
+    function makeDeletion(findPosition) {
+        // Make a buffer action that deletes back from the cursor to the
+        // position returned by findPosition, given the current one.
+        return function(cb) {
+            deleteTo(findPosition(cursor));
+            emitChange();
+            cb();
+        };
+    }
+    // Deleting a word removes the word before the cursor, along with any
+    // spaces between it and the cursor. Deleting a sentence removes everything
+    // back to the sentence start; at a sentence start, the previous sentence.
+    registerAction("deleteWord", makeDeletion(findWordStart));
+    registerAction("deleteSentence", makeDeletion(findSentenceStart));
+
+    function smartDelete(cb) {
+        // Delete the last guessed word if it was the last change, otherwise a
+        // character.
+        let state = getState();
+        if (lastGuess !== null && lastGuess.text === state.text && lastGuess.cursor === state.cursor) {
+            makeDeletion(findWordStart)(cb);
+        } else {
+            deleteText(cb);
+        }
+    }
+    registerAction("smartDelete", smartDelete);
+
+    function makeMove(findPosition) {
+        // Make a buffer action that moves the cursor to the position returned
+        // by findPosition, given the current one.
+        return function(cb) {
+            moveTo(findPosition(cursor));
+            emitChange();
+            cb();
+        };
+    }
+    registerAction("cursorLeft", makeMove((position) => position - 1));
+    registerAction("cursorRight", makeMove((position) => position + 1));
+    registerAction("wordLeft", makeMove(findWordStart));
+    registerAction("wordRight", makeMove(findWordEnd));
+    registerAction("sentenceLeft", makeMove(findSentenceStart));
+    registerAction("sentenceRight", makeMove(findSentenceEnd));
+    registerAction("cursorStart", makeMove(() => 0));
+    registerAction("cursorEnd", makeMove(() => bufferText.length));
+
+    function makeHistoryAction(from, to) {
+        // Make a buffer action that restores the latest state on stack "from",
+        // saving the current state on stack "to".
+        return function(cb) {
+            if (from.length !== 0) {
+                to.push(getState());
+                setState(from.pop());
+                emitChange();
+            }
+            cb();
+        };
+    }
+    registerAction("undo", makeHistoryAction(undoStack, redoStack));
+    registerAction("redo", makeHistoryAction(redoStack, undoStack));
+
     function readBuffer(cb) {
+        finishMessage();
+        emitter.emit("message", getText());
         let afterBeep = () => speaker.speakAsync(getText(), cb,
                                                  bufferElem, AFTER_READ_WAIT);
         speaker.beep(BEEP_FREQ, BEEP_DURATION);
@@ -165,7 +387,12 @@ function buffer(speaker) {
 
     function clearBuffer(cb) {
         // Clear the buffer. Invoke callback when finished.
-        bufferText = CURSOR;
+        finishMessage();
+        if (bufferText !== "") {
+            emitter.emit("clear", bufferText);
+        }
+        bufferText = "";
+        cursor = 0;
         update();
         emitChange();
         cb();
@@ -177,19 +404,38 @@ function buffer(speaker) {
     // The returned object
     let that = {
         getText: getText,
+        getTextBeforeCursor: getTextBeforeCursor,
+        finishMessage: finishMessage,
         write: function(text, type) {
             // Write to the buffer, dispatching on category.
             let writer = writers[type];
+            let before = getState();
             writer(text);
+            record(before);
+            lastGuess = type === "word" ? getState() : null;
             emitChange();
         },
         executeAction: function(actionName, cbpressed) {
-            // Perform buffer action, dispatching on action name.
+            // Perform buffer action, dispatching on action name. Once it's
+            // done, record the change it made, unless it was undoing or redoing.
             let action = actions[actionName];
-            action(cbpressed);
+            let before = getState();
+            function cb() {
+                if (actionName !== "undo" && actionName !== "redo") {
+                    record(before);
+                }
+                cbpressed();
+            }
+            action(cb);
         },
         addChangeListener: (listener) => emitter.addListener("bufferChange", listener),
-        removeChangeListener: (listener) => emitter.removeListener("bufferChange", listener)
+        removeChangeListener: (listener) => emitter.removeListener("bufferChange", listener),
+        addWordListener: (listener) => emitter.addListener("wordWritten", listener),
+        removeWordListener: (listener) => emitter.removeListener("wordWritten", listener),
+        addMessageListener: (listener) => emitter.addListener("message", listener),
+        removeMessageListener: (listener) => emitter.removeListener("message", listener),
+        addClearListener: (listener) => emitter.addListener("clear", listener),
+        removeClearListener: (listener) => emitter.removeListener("clear", listener)
     };
 
     // Initialize and return
@@ -2,16 +2,24 @@
 
 const EventEmitter = require("events");
 const util = require("./util.js");
+const storage = require("./storage.js");
+const imaging = require("./imaging.js");
 
 // ************************************************************************** //
 
 // This module exposes a function called detector, which creates a detector
 // object. Since different users will have different needs and abilities, this
 // object can be set to detect different types of gestures.
-// At present two gestures are implemented: a detector recognizing an upward
-// gaze can be constructed using makeGazeDetector, while a detector for
-// recognizing the pressing of the "shift" key can be constructed using
-// makeKeyDetector. This detector is of most use for debugging.
+// At present five gestures are implemented: a detector recognizing an upward
+// gaze can be constructed using makeGazeDetector, a detector recognizing a
+// long, deliberate blink can be constructed using makeBlinkDetector, a
+// detector recognizing a sound made by the user (a sip, a hum) can be
+// constructed using makeSoundDetector, a detector for one or two adaptive
+// switches (keyboard or gamepad) can be constructed using makeSwitchDetector,
+// and a detector for recognizing the pressing of the "shift" key can be
+// constructed using makeKeyDetector. This last detector is of most use for
+// debugging. The gaze and blink detectors share the camera and its
+// calibration (see makeCameraDetector).
 // New detector constructors can be registered using registerConstructor.
 // The UI presents a dropdown menu allowing for the selection of a detection
 // mode. It generates that menu based on all available constructors in the
@@ -20,7 +28,8 @@ const util = require("./util.js");
 // specific detector type. When the user selects a new detector type from the
 // dropdown, the constructor for that specific detector is called, and the newly
 // created object is set as the prototype for the wrapper object created by
-// "detector".
+// "detector". The selected detection mode is saved in the settings store, and
+// restored when the program starts.
 
 let constructors = {};
 function registerConstructor(type, constructor) {
@@ -35,9 +44,14 @@ function detector(spec) {
     // when the user selects a new detector; this means that, to the rest of the
     // program, nothing changes. It can interact with the same wrapper,
     // regardless of the implementation chosen by the user.
+    // The spec holds the settings, and the speaker, whose audio context the
+    // sound detector shares.
     let DEFAULT_MODE = "gaze";
+    let store = spec.settings.getStore();
+    let savedMode = store.get("detector", DEFAULT_MODE);
+    let initialMode = savedMode in constructors ? savedMode : DEFAULT_MODE;
     let detElem = document.querySelector("select[name=detector]");
-    let that = Object.create(constructors[DEFAULT_MODE](spec));
+    let that = Object.create(constructors[initialMode](spec));
 
     function populateOptions() {
         // Initialize the dropdown list of available detectors.
@@ -48,18 +62,34 @@ function detector(spec) {
             detElem.add(opt);
         }
         Object.keys(constructors).forEach(each);
-        detElem.value = DEFAULT_MODE;
+        detElem.value = initialMode;
     }
 
-    function change(e) {
+    function change() {
         // To be executed when the user selects a different detector.
-        let key = e ? e.target.value : DEFAULT_MODE;
+        let key = detElem.value;
+        that.destroy();         // Release the resources of the old detector.
         let activeDetector = constructors[key](spec);
         Object.setPrototypeOf(that, activeDetector);
+        store.set("detector", key);
+    }
+
+    function reload() {
+        // To be executed when the settings are reloaded for another profile.
+        let mode = store.get("detector", DEFAULT_MODE);
+        if (mode in constructors && mode !== detElem.value) {
+            detElem.value = mode;
+            change();
+        }
     }
 
     populateOptions();
+    // Bind the sound and switch settings now, so that the caregiver can set up
+    // a detector before selecting it.
+    getMicrophone(spec);
+    getSwitches(spec);
     detElem.addEventListener("change", change);
+    store.addLoadListener(reload);
     return that;
 }
 
@@ -94,8 +124,10 @@ function makeGenericDetector(spec, my) {
 
     // Private methods.
     let myMethods1 = {
-        emitGestureStart: () => my.emitter.emit("gestureBegin"),
-        emitGestureEnd: () => my.emitter.emit("gestureEnd"),
+        // Gesture events say which gesture began or ended. Detectors that
+        // only recognize a single gesture report it as the primary one.
+        emitGestureStart: (gesture = "primary") => my.emitter.emit("gestureBegin", gesture),
+        emitGestureEnd: (gesture = "primary") => my.emitter.emit("gestureEnd", gesture),
         setStatusText: function(status, language) {
             // Update the actual text in the DOM indicating the detector status.
             let p = my.statusElem.querySelector("p");
@@ -128,6 +160,12 @@ function makeGenericDetector(spec, my) {
 
     // Public objects.
     let that = {
+        destroy: function() {
+            // Invoked when the user selects another detector. Detectors that
+            // hold resources (timers, event handlers) release them here.
+            that.idleMode();
+            my.settings.getLanguageSettings().removeChangeListener(my.translateStatus);
+        },
         idleMode: () => my.setStatus("idle"),
         listenMode: () => my.setStatus("listening"),
         scanMode: () => my.setStatus("scanning"),
@@ -168,6 +206,13 @@ function makeKeyDetector(spec, my) {
     };
     Object.assign(my, myExtensions);
 
+    let supers = { destroy: that.destroy };
+    that.destroy = function() {
+        supers.destroy();
+        document.removeEventListener("keydown", my.onKeyDown);
+        document.removeEventListener("keyup", my.onKeyUp);
+    };
+
     document.addEventListener("keydown", my.onKeyDown);
     document.addEventListener("keyup", my.onKeyUp);
 
@@ -177,42 +222,137 @@ registerConstructor("key", makeKeyDetector);
 
 // ************************************************************************** //
 
-function makeGazeDetector(spec, my) {
-    // Creates a gaze detector. This detector respects the interface of the
-    // generic detector. The gesture for which it looks is an upward gaze as
-    // detected by a camera.
+function makeCameraDetector(spec, my) {
+    // Creates the parts shared by the detectors that watch the user through
+    // the camera. This detector respects the interface of the generic
+    // detector, but isn't registered itself; the gaze and blink detectors
+    // below are built on it.
+    // Each video frame is classified as "rest" or "gaze" (the names of the two
+    // templates) by comparing it to the samples captured for each state during
+    // calibration (see classify in imaging.js). What the two states mean is up
+    // to the detector built on this one, which supplies labels for them and
+    // decides which changes of state are gestures (see onStateChange). Frames
+    // are grabbed on the main thread, but classified by a Web Worker (see
+    // makeClassifier).
+    // The detector shows the state of the latest frame along with the
+    // confidence of the classification.
+    // Before classification, the frame and the samples are cropped to the
+    // region of interest and preprocessed as chosen in the gaze settings.
+    // To keep noisy frames from firing spurious gestures, the detector applies
+    // hysteresis, as tuned in the gaze settings. A frame only counts toward a
+    // change of state if it is closer to the new state than to the current
+    // one by the required margin, and the state only changes once the
+    // required number of such frames have been seen in a row.
+    // Tracking the region of interest runs on the main thread, so while it's
+    // on, frames are checked no more than MAX_TRACKING_RATE times a second.
+    // The spec passed by the detector built on this one must also include:
+    //  kind: The name of the detector. Calibrations are kept separately for
+    //      each kind, since the templates mean different things.
+    //  labels: Maps each state to its name in each language.
+    //  refreshRates: The number of frames to check per second, when listening
+    //      and when scanning.
 
     // Constants
-    const REFRESH_RATE_LISTEN = 5; // When listening, check the camera 5 times a second.
-    const REFRESH_RATE_SCAN = 20; // When scanning, check 20 times a second.
+    const MAX_TRACKING_RATE = 20;
 
     my = my || {};
     let that = makeGenericDetector(spec, my);
 
-    let stream = makeVideoStream();
+    let camera = getCamera(spec);
     let myData = {
-        vs: stream,
-        rest: makeTemplate("rest", stream),
-        gaze: makeTemplate("gaze", stream),
+        vs: camera.stream,
+        region: camera.region,
+        classifier: camera.classifier,
+        rest: camera.rest,
+        gaze: camera.gaze,
         state: "rest",
+        frame: { state: "rest", confidence: 0 }, // Classification of the latest frame.
+        agreeing: 0,            // Number of consecutive frames calling for a change of state.
+        gazeSettings: spec.settings.getGazeSettings(),
+        confidenceElem: document.querySelector("#detectorStatus .confidence"),
+        rate: null,             // Frames to check per second, in the current mode.
         interval: null
     };
     Object.assign(my, myData);
 
     let myMethods = {
+        showLabels: function() {
+            // Label the templates with what they mean to this detector.
+            let language = my.settings.getLanguageSettings().getLanguage();
+            function each(state) {
+                let header = document.querySelector(`th[data-canvas-id=${state}]`);
+                header.dataset.languages = JSON.stringify(my.labels[state]);
+                header.innerText = my.labels[state][language];
+            }
+            Object.keys(my.labels).forEach(each);
+        },
+        showConfidence: function() {
+            // Display the state of the latest frame, and how confident the detector is about it.
+            if (my.status === "idle") {
+                return;
+            }
+            let language = my.settings.getLanguageSettings().getLanguage();
+            let percent = Math.round(my.frame.confidence * 100);
+            my.confidenceElem.textContent = `${my.labels[my.frame.state][language]} (${percent}%)`;
+        },
+        callsForChange: function(frame) {
+            // Decide whether a classified frame is evidence for a change of
+            // state. If there are no distances to compare (the templates are
+            // empty), the classification is taken as is.
+            if (frame.state === my.state) {
+                return false;
+            }
+            let dCurrent = frame.distances[my.state];
+            let dNew = frame.distances[frame.state];
+            if (dCurrent === undefined || dNew === undefined) {
+                return true;
+            }
+            return dNew < (1 - my.gazeSettings.getMargin()) * dCurrent;
+        },
         detect: function() {
-            // Compares current video frame to templates. Emits events if change occurred.
-            let streamPixels = my.vs.getPixels();
-            let dRest = l1Distance(streamPixels, my.rest.getPixels());
-            let dGaze = l1Distance(streamPixels, my.gaze.getPixels());
-            let newState = (dGaze < dRest) ? "gaze" : "rest";
-            if (my.state === "rest" & newState === "gaze") {
-                my.emitGestureStart();    // If we went from resting to gazing, then the gaze started.
+            // Grab the current video frame and send it off to be compared to
+            // the templates. If the previous frame is still being classified,
+            // skip this one rather than let frames pile up.
+            if (my.classifier.isBusy()) {
+                return;
+            }
+            let samples = { rest: my.rest.getSamples(),
+                            gaze: my.gaze.getSamples() };
+            my.classifier.classify(my.region.track(my.vs.getPixels()),
+                                   samples,
+                                   my.gazeSettings.getPreprocessing(),
+                                   my.update);
+        },
+        update: function(frame) {
+            // Invoked with the classification of a frame. Tells the detector
+            // built on this one if the state changed.
+            if (my.status === "idle") {
+                return;           // The detector was stopped while the frame was classified.
+            }
+            my.frame = frame;
+            my.agreeing = my.callsForChange(my.frame) ? my.agreeing + 1 : 0;
+            my.showConfidence();
+            if (my.agreeing < my.gazeSettings.getFrames()) {
+                return;           // Not enough evidence yet.
             }
-            if (my.state === "gaze" & newState === "rest") {
-                my.emitGestureEnd();      // If we went from gaze to rest, then the gaze ended.
+            let oldState = my.state;
+            my.agreeing = 0;
+            my.state = my.frame.state;
+            my.onStateChange(oldState, my.state);
+        },
+        startDetecting: function(rate) {
+            // Check the camera rate times a second, or less often if the
+            // region is tracked.
+            my.rate = rate;
+            let actual = my.region.isTracking() ? Math.min(rate, MAX_TRACKING_RATE) : rate;
+            window.clearInterval(my.interval);
+            my.interval = window.setInterval(my.detect, 1000 / actual);
+        },
+        onRegionChange: function() {
+            // Tracking may have been turned on or off.
+            if (my.status === "listening" || my.status === "scanning") {
+                my.startDetecting(my.rate);
             }
-            my.state = newState;
         }
     };
     Object.assign(my, myMethods);
@@ -221,32 +361,428 @@ function makeGazeDetector(spec, my) {
     // newline defined functions of the child class sharing the same name.
     let supers = { idleMode: that.idleMode,
                    listenMode: that.listenMode,
-                   scanMode: that.scanMode };
+                   scanMode: that.scanMode,
+                   destroy: that.destroy };
     // The returned object
     let thatAssignments = {
         idleMode: function() {
             supers.idleMode();
             window.clearInterval(my.interval);
+            my.agreeing = 0;
+            my.confidenceElem.textContent = "";
         },
         listenMode: function() {
             supers.listenMode();
-            window.clearInterval(my.interval);
-            my.interval = window.setInterval(my.detect, 1000 / REFRESH_RATE_LISTEN);
+            my.startDetecting(my.refreshRates.listen);
         },
         scanMode: function() {
             supers.scanMode();
-            window.clearInterval(my.interval);
-            my.interval = window.setInterval(my.detect, 1000 / REFRESH_RATE_SCAN);
+            my.startDetecting(my.refreshRates.scan);
+        },
+        destroy: function() {
+            supers.destroy();
+            my.settings.getLanguageSettings().removeChangeListener(my.showConfidence);
+            my.region.removeChangeListener(my.onRegionChange);
         }
     };
     Object.assign(that, thatAssignments);
 
     // Initialize and return.
+    my.showLabels();
+    camera.calibrations.setKind(my.kind);
+    my.settings.getLanguageSettings().addChangeListener(my.showConfidence);
+    my.region.addChangeListener(my.onRegionChange);
+    return that;
+}
+
+function makeGazeDetector(spec, my) {
+    // Creates a gaze detector, built on the camera detector. The gesture for
+    // which it looks is an upward gaze: the gesture begins when the user's
+    // eyes move from the "rest" template to the "gaze" template, and ends when
+    // they move back.
+
+    // Constants
+    const REFRESH_RATE_LISTEN = 5; // When listening, check the camera 5 times a second.
+    const REFRESH_RATE_SCAN = 30; // When scanning, check 30 times a second.
+
+    my = my || {};
+    let gazeSpec = { kind: "gaze",
+                     labels: { rest: { en: "Rest", fr: "Repos" },
+                               gaze: { en: "Gaze", fr: "Regard" } },
+                     refreshRates: { listen: REFRESH_RATE_LISTEN,
+                                     scan: REFRESH_RATE_SCAN } };
+    let that = makeCameraDetector(Object.assign({}, spec, gazeSpec), my);
+
+    my.onStateChange = function(oldState, newState) {
+        if (oldState === "rest" & newState === "gaze") {
+            my.emitGestureStart();    // If we went from resting to gazing, then the gaze started.
+        }
+        if (oldState === "gaze" & newState === "rest") {
+            my.emitGestureEnd();      // If we went from gaze to rest, then the gaze ended.
+        }
+    };
+
     return that;
 }
 registerConstructor("gaze", makeGazeDetector);
 
-function makeVideoStream() {
+function makeBlinkDetector(spec, my) {
+    // Creates a blink detector, built on the camera detector, for users who
+    // can't hold an upward gaze but can blink deliberately. The "rest"
+    // template holds the user's open eyes and the "gaze" template their closed
+    // eyes.
+    // Natural blinks are short, so closing the eyes doesn't start a gesture
+    // right away. The gesture begins once the eyes have stayed closed for the
+    // blink duration set in the gaze settings, and ends when they open again.
+    // The scanner measures the gesture from then on, so its short and long
+    // gestures become long and very long blinks.
+
+    // Constants
+    const REFRESH_RATE_LISTEN = 15; // A blink is brief; check often even when listening.
+    const REFRESH_RATE_SCAN = 30;
+
+    my = my || {};
+    let blinkSpec = { kind: "blink",
+                      labels: { rest: { en: "Open eyes", fr: "Yeux ouverts" },
+                                gaze: { en: "Closed eyes", fr: "Yeux fermés" } },
+                      refreshRates: { listen: REFRESH_RATE_LISTEN,
+                                      scan: REFRESH_RATE_SCAN } };
+    let that = makeCameraDetector(Object.assign({}, spec, blinkSpec), my);
+
+    let myData = {
+        timeout: null,          // Pending start of a gesture, while the eyes are closed.
+        blinking: false         // True once a closure has lasted long enough to be a gesture.
+    };
+    Object.assign(my, myData);
+
+    let myMethods = {
+        startGesture: function() {
+            my.timeout = null;
+            my.blinking = true;
+            my.emitGestureStart();
+        },
+        cancel: function() {
+            // Forget about the current closure of the eyes.
+            window.clearTimeout(my.timeout);
+            my.timeout = null;
+            my.blinking = false;
+        },
+        onStateChange: function(oldState, newState) {
+            if (newState === "gaze") {
+                // The eyes closed. This is a gesture if they stay closed long enough.
+                my.timeout = window.setTimeout(my.startGesture, my.gazeSettings.getBlinkDuration());
+            } else {
+                // The eyes opened. If this ends a deliberate blink, the gesture is over.
+                let wasBlinking = my.blinking;
+                my.cancel();
+                if (wasBlinking) {
+                    my.emitGestureEnd();
+                }
+            }
+        }
+    };
+    Object.assign(my, myMethods);
+
+    let supers = { idleMode: that.idleMode };
+    that.idleMode = function() {
+        supers.idleMode();
+        my.cancel();
+    };
+
+    return that;
+}
+registerConstructor("blink", makeBlinkDetector);
+
+// ************************************************************************** //
+
+function makeSoundDetector(spec, my) {
+    // Creates a sound detector, for users who can make a sound (a sip, a hum,
+    // a vocalization) more reliably than they can move their eyes. The
+    // detector listens to the microphone, and the gesture lasts as long as the
+    // sound level stays above a threshold. The threshold is derived from the
+    // calibration of the microphone (see makeSoundCalibration). To keep the
+    // detector from flickering around the threshold, the gesture begins when
+    // the level rises above ON_FRACTION of the way from the quiet level to
+    // the sound level, but only ends when it falls below OFF_FRACTION. Sounds
+    // shorter than MIN_CHECKS checks (a cough, a door closing) are ignored.
+
+    // Constants
+    const REFRESH_RATE = 30;    // Check the microphone 30 times a second.
+    const ON_FRACTION = 0.5;
+    const OFF_FRACTION = 0.3;
+    const MIN_CHECKS = 3;
+
+    my = my || {};
+    let that = makeGenericDetector(spec, my);
+
+    let microphone = getMicrophone(spec);
+    let myData = {
+        mic: microphone.mic,
+        calibration: microphone.calibration,
+        sounding: false,        // True while the gesture is under way.
+        loudChecks: 0,          // Number of consecutive checks above the threshold.
+        interval: null
+    };
+    Object.assign(my, myData);
+
+    let myMethods = {
+        detect: function() {
+            // Check the sound level. Emits events if the gesture began or ended.
+            let level = my.mic.getLevel();
+            let levels = my.calibration.getLevels();
+            if (levels === null) {
+                return;           // Not calibrated yet.
+            }
+            let range = levels.sound - levels.quiet;
+            if (!my.sounding) {
+                let loud = level > levels.quiet + ON_FRACTION * range;
+                my.loudChecks = loud ? my.loudChecks + 1 : 0;
+                if (my.loudChecks >= MIN_CHECKS) {
+                    my.sounding = true;
+                    my.emitGestureStart();
+                }
+            } else if (level < levels.quiet + OFF_FRACTION * range) {
+                my.sounding = false;
+                my.loudChecks = 0;
+                my.emitGestureEnd();
+            }
+        },
+        startDetecting: function() {
+            window.clearInterval(my.interval);
+            my.interval = window.setInterval(my.detect, 1000 / REFRESH_RATE);
+        }
+    };
+    Object.assign(my, myMethods);
+
+    let supers = { idleMode: that.idleMode,
+                   listenMode: that.listenMode,
+                   scanMode: that.scanMode };
+    let thatAssignments = {
+        idleMode: function() {
+            supers.idleMode();
+            window.clearInterval(my.interval);
+            my.sounding = false;
+            my.loudChecks = 0;
+        },
+        listenMode: function() {
+            supers.listenMode();
+            my.startDetecting();
+        },
+        scanMode: function() {
+            supers.scanMode();
+            my.startDetecting();
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    return that;
+}
+registerConstructor("sound", makeSoundDetector);
+
+// ************************************************************************** //
+
+function makeSwitchDetector(spec, my) {
+    // Creates a detector for adaptive switches. Switches usually present
+    // themselves as keyboards sending some key, or as gamepads; the caregiver
+    // teaches the detector which key or gamepad button each switch sends (see
+    // makeSwitchMapping). Up to two switches are supported. The gesture lasts
+    // as long as a switch is held down, and the gesture events say which
+    // switch it was: "primary" or "secondary". In a one-switch setup only the
+    // primary switch is used; in a two-switch setup, the scanner may use the
+    // secondary switch to advance and the primary to select.
+    // Keyboard switches are only listened to while the detector is listening
+    // or scanning, so that the caregiver can still type while it is idle.
+    // Gamepads don't send events, so they are polled.
+
+    // Constants
+    const POLL_RATE = 30;       // Check the gamepads 30 times a second.
+
+    my = my || {};
+    let that = makeGenericDetector(spec, my);
+
+    let myData = {
+        switches: getSwitches(spec),
+        pressed: { primary: false, secondary: false }, // Which switches are held down.
+        interval: null
+    };
+    Object.assign(my, myData);
+
+    let myMethods = {
+        setPressed: function(gesture, down) {
+            // Record a switch going down or up, and emit the matching event.
+            if (my.status === "idle" || my.switches.isLearning() || my.pressed[gesture] === down) {
+                return;
+            }
+            my.pressed[gesture] = down;
+            if (down) {
+                my.emitGestureStart(gesture);
+            } else {
+                my.emitGestureEnd(gesture);
+            }
+        },
+        onKey: function(event, down) {
+            let gesture = my.switches.findGesture(keyInput(event));
+            if (gesture !== null && my.status !== "idle") {
+                event.preventDefault();
+                my.setPressed(gesture, down);
+            }
+        },
+        onKeyDown: (e) => my.onKey(e, true),
+        onKeyUp: (e) => my.onKey(e, false),
+        poll: function() {
+            // Check the gamepad buttons assigned to switches.
+            function each(gesture) {
+                let input = my.switches.getMapping()[gesture];
+                if (input !== null && input.type === "gamepad") {
+                    my.setPressed(gesture, isGamepadButtonPressed(input));
+                }
+            }
+            Object.keys(my.pressed).forEach(each);
+        },
+        startPolling: function() {
+            window.clearInterval(my.interval);
+            my.interval = window.setInterval(my.poll, 1000 / POLL_RATE);
+        }
+    };
+    Object.assign(my, myMethods);
+
+    let supers = { idleMode: that.idleMode,
+                   listenMode: that.listenMode,
+                   scanMode: that.scanMode,
+                   destroy: that.destroy };
+    let thatAssignments = {
+        idleMode: function() {
+            supers.idleMode();
+            window.clearInterval(my.interval);
+            my.pressed = { primary: false, secondary: false };
+        },
+        listenMode: function() {
+            supers.listenMode();
+            my.startPolling();
+        },
+        scanMode: function() {
+            supers.scanMode();
+            my.startPolling();
+        },
+        destroy: function() {
+            supers.destroy();
+            document.removeEventListener("keydown", my.onKeyDown);
+            document.removeEventListener("keyup", my.onKeyUp);
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    document.addEventListener("keydown", my.onKeyDown);
+    document.addEventListener("keyup", my.onKeyUp);
+    return that;
+}
+registerConstructor("switch", makeSwitchDetector);
+
+let camera = null;              // The video stream and templates, shared by all camera detectors.
+
+function getCamera(spec) {
+    // Return the video stream, the region of interest, the "rest" and "gaze"
+    // templates, the calibration history, and the classifier. These are
+    // created the first time they're needed and shared afterwards by all
+    // camera detectors, so that selecting a camera detector again doesn't open
+    // another stream, bind the capture buttons a second time, or start another
+    // worker.
+    if (camera === null) {
+        let stream = makeVideoStream(spec.settings);
+        let region = makeRegion(spec.settings);
+        let gazeSettings = spec.settings.getGazeSettings();
+        let templates = { rest: makeTemplate("rest", stream, region, gazeSettings),
+                          gaze: makeTemplate("gaze", stream, region, gazeSettings) };
+        let calibrations = makeCalibrations(stream, region, templates, spec.settings);
+        let classifier = makeClassifier(spec.settings);
+        camera = Object.assign({ stream, region, calibrations, classifier }, templates);
+    }
+    return camera;
+}
+
+function makeClassifier(settings) {
+    // Constructor for the classifier, which classifies video frames in a Web
+    // Worker (see gaze-worker.js). Only one frame is classified at a time. The
+    // samples are only posted to the worker when they have changed since they
+    // were last posted; templates cache their samples, so an unchanged
+    // template returns the very same list.
+    // If the worker fails, the failure is shown under the detector status
+    // until a frame is classified again.
+
+    // Constants
+    const WORKER_SCRIPT = "gaze-worker.js"; // Relative to index.html.
+    const DEFAULT_STATE = "rest";           // Reported if some state has no samples.
+    const FAILED = { en: "Detection failed", fr: "La détection a échoué" };
+
+    // Private variables
+    let worker = new window.Worker(WORKER_SCRIPT);
+    let sent = {};              // The samples last posted, keyed by state.
+    let callback = null;        // Invoked with the classification of the pending frame.
+    let errorElem = document.querySelector("#detectorStatus .errorMessage");
+    let failing = false;        // Whether the last frame failed.
+
+    function postSamples(samples) {
+        // Post the samples to the worker, if they've changed.
+        let states = Object.keys(samples);
+        if (states.some((state) => samples[state] !== sent[state])) {
+            worker.postMessage({ type: "samples", samples });
+            sent = samples;
+        }
+    }
+
+    function fail(message) {
+        // Drop the pending frame, so that the next one can be classified, and
+        // post the samples again with it in case the worker lost them.
+        callback = null;
+        sent = {};
+        if (!failing) {
+            failing = true;
+            let language = settings.getLanguageSettings().getLanguage();
+            errorElem.textContent = `${FAILED[language]}: ${message}`;
+        }
+    }
+
+    function onMessage(event) {
+        if (event.data.error !== undefined) {
+            fail(event.data.error);
+            return;
+        }
+        if (failing) {
+            failing = false;
+            errorElem.textContent = "";
+        }
+        let cb = callback;
+        callback = null;
+        cb(event.data);
+    }
+
+    function onError(event) {
+        // An uncaught error in the worker. Without this, the pending frame
+        // would never be answered and detection would stop.
+        event.preventDefault();
+        fail(event.message);
+    }
+
+    // The returned object.
+    let that = {
+        isBusy: () => callback !== null,
+        classify: function(frame, samples, options, cb) {
+            // Classify a frame against the samples, and pass the result to cb.
+            // The frame's pixels are transferred to the worker, not copied, so
+            // the frame can't be used afterwards.
+            postSamples(samples);
+            callback = cb;
+            worker.postMessage({ type: "frame", frame, options, defaultState: DEFAULT_STATE },
+                               [frame.data.buffer]);
+        }
+    };
+
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
+    return that;
+}
+
+function makeVideoStream(settings) {
     // Create an object that wraps the incoming video stream.
     // Enables the user to select the video source using the dropdown menu in
     // the DOM.
@@ -256,7 +792,7 @@ function makeVideoStream() {
     // Private variables and methods.
     let video = document.querySelector("video");
     let cc = makeCanvasContainer("video");
-    let sourceElem = getVideoSource();
+    let sourceElem = getVideoSource(settings);
     let stream;
 
     function stopCurrentStream() {
@@ -288,6 +824,9 @@ function makeVideoStream() {
     // The exposed object.
     let that = {
         getVideo: () => video,
+        getDeviceId: () => sourceElem.value,
+        getResolution: () => ({ width: video.videoWidth, height: video.videoHeight }),
+        addSourceListener: (listener) => sourceElem.addEventListener("change", listener),
         getPixels: function() {
             // Write the current video frame to an invisible canvas and grab its pixels.
             cc.context.drawImage(video, 0, 0, cc.getWidth(), cc.getHeight());
@@ -301,36 +840,495 @@ function makeVideoStream() {
     return that;
 }
 
-function makeTemplate(name, videoStream) {
-    // Constructor for a template object.
-    // Binds an event handler to the relevant "capture" button in the DOM, so
-    // that when pressed it will create a template from the current video frame.
-    // Exposes a method to retrieve the captured template's pixels.
+function makeRegion(settings) {
+    // Constructor for the region of interest: the rectangle of the video frame
+    // (normally around the eyes) that the gaze detector compares. Outside the
+    // region, head movements, blankets shifting or people walking past can't
+    // interfere with detection. Without a region, the whole frame is compared.
+    // The caregiver draws the region by dragging the mouse over the video
+    // feed, and removes it with the "clear" button.
+    // Optionally, the region follows small head movements. When tracking is
+    // on, the region's contents in the first frame are kept as a reference.
+    // In each later frame, the region is moved to the nearby position whose
+    // contents best match the reference, up to MAX_DRIFT pixels from where it
+    // was drawn. Templates are always compared at the region's drawn position.
+    // Whether to track is saved in the settings store.
+
+    // Constants
+    const MIN_SIZE = 8;         // Smaller rectangles are taken to be accidental clicks.
+    const SEARCH = 2;           // How far (in pixels) the region may move from one frame to the next.
+    const MAX_DRIFT = 20;       // How far the region may move from where it was drawn.
+
+    // Private variables
+    let cc = makeCanvasContainer("region");
+    let trackElem = document.querySelector("input[type=checkbox][name=trackRegion]");
+    let clearButton = document.querySelector("input[type=button][name=clearRegion]");
+    let emitter = new EventEmitter();
+    let rect = null;            // The region as drawn: { x, y, width, height }.
+    let offset = { x: 0, y: 0 }; // How far the region has moved while tracking.
+    let reference = null;       // The region's contents when tracking started.
+    let dragStart = null;       // Where the mouse was pressed, while drawing.
+
+    // Private methods
+    const clamp = (x, lo, hi) => Math.min(Math.max(x, lo), hi);
+
+    function getPoint(event) {
+        // Convert mouse coordinates to video frame coordinates.
+        let canvas = cc.canvas;
+        return { x: Math.round(event.offsetX * canvas.width / canvas.clientWidth),
+                 y: Math.round(event.offsetY * canvas.height / canvas.clientHeight) };
+    }
+
+    function makeRect(p1, p2) {
+        // Return the rectangle with corners p1 and p2, within the frame.
+        let x = clamp(Math.min(p1.x, p2.x), 0, cc.getWidth());
+        let y = clamp(Math.min(p1.y, p2.y), 0, cc.getHeight());
+        return { x, y,
+                 width: clamp(Math.max(p1.x, p2.x), 0, cc.getWidth()) - x,
+                 height: clamp(Math.max(p1.y, p2.y), 0, cc.getHeight()) - y };
+    }
+
+    function draw(r) {
+        // Outline rectangle r over the video feed.
+        cc.context.clearRect(0, 0, cc.getWidth(), cc.getHeight());
+        if (r !== null) {
+            cc.context.strokeStyle = window.getComputedStyle(cc.canvas).getPropertyValue("--cyan").trim();
+            cc.context.strokeRect(r.x + 0.5, r.y + 0.5, r.width - 1, r.height - 1);
+        }
+    }
+
+    const current = () => rect === null ? null : Object.assign({}, rect, { x: rect.x + offset.x,
+                                                                          y: rect.y + offset.y });
+
+    function set(newRect) {
+        // Replace the region and forget where tracking had moved it.
+        rect = newRect;
+        offset = { x: 0, y: 0 };
+        reference = null;
+        draw(rect);
+        emitter.emit("change");
+    }
+
+    function startDrag(event) {
+        dragStart = getPoint(event);
+    }
+
+    function drag(event) {
+        if (dragStart !== null) {
+            draw(makeRect(dragStart, getPoint(event)));
+        }
+    }
+
+    function endDrag(event) {
+        // Finish drawing. Tell listeners that the caregiver chose a new region.
+        if (dragStart === null) {
+            return;
+        }
+        let r = makeRect(dragStart, getPoint(event));
+        dragStart = null;
+        if (r.width < MIN_SIZE || r.height < MIN_SIZE) {
+            draw(current());
+        } else {
+            set(r);
+            emitter.emit("draw");
+        }
+    }
+
+    function clear() {
+        set(null);
+        emitter.emit("draw");
+    }
+
+    function follow(frame) {
+        // Move the region to the nearby position that best matches the reference.
+        let best = { distance: Infinity, offset };
+        for (let dy = -SEARCH; dy <= SEARCH; dy += 1) {
+            for (let dx = -SEARCH; dx <= SEARCH; dx += 1) {
+                let candidate = { x: clamp(offset.x + dx, -MAX_DRIFT, MAX_DRIFT),
+                                  y: clamp(offset.y + dy, -MAX_DRIFT, MAX_DRIFT) };
+                let moved = Object.assign({}, rect, { x: rect.x + candidate.x,
+                                                      y: rect.y + candidate.y });
+                let distance = imaging.l1Distance(imaging.crop(frame, moved), reference);
+                if (distance < best.distance) {
+                    best = { distance, offset: candidate };
+                }
+            }
+        }
+        if (best.offset.x !== offset.x || best.offset.y !== offset.y) {
+            offset = best.offset;
+            draw(current());
+        }
+    }
+
+    // The returned object.
+    let that = {
+        get: () => rect,
+        set,
+        crop: (img) => rect === null ? img : imaging.crop(img, rect),
+        isTracking: () => rect !== null && trackElem.checked,
+        track: function(frame) {
+            // Return the region of interest of a video frame, following the
+            // user's head if tracking is on.
+            if (rect === null) {
+                return frame;
+            }
+            if (!trackElem.checked) {
+                return imaging.crop(frame, rect);
+            }
+            if (reference === null) {
+                reference = imaging.crop(frame, rect);
+            } else {
+                follow(frame);
+            }
+            return imaging.crop(frame, current());
+        },
+        addChangeListener: (listener) => emitter.addListener("change", listener),
+        removeChangeListener: (listener) => emitter.removeListener("change", listener),
+        addDrawListener: (listener) => emitter.addListener("draw", listener)
+    };
+
+    // Bind event handlers and return.
+    cc.canvas.addEventListener("mousedown", startDrag);
+    cc.canvas.addEventListener("mousemove", drag);
+    cc.canvas.addEventListener("mouseup", endDrag);
+    cc.canvas.addEventListener("mouseleave", endDrag);
+    clearButton.addEventListener("click", clear);
+    trackElem.addEventListener("change", () => set(rect)); // Start over from the drawn position.
+    settings.getStore().bind("trackRegion", trackElem, "checked");
+    return that;
+}
+
+function makeTemplate(name, videoStream, region, gazeSettings) {
+    // Constructor for a template object. A template holds the samples (video
+    // frames) captured for one state of the user, e.g. "rest" or "gaze".
+    // Binds event handlers to the relevant "capture" and "add" buttons in the
+    // DOM. Pressing "capture" replaces the samples with a short burst of video
+    // frames; pressing "add" adds another burst to the existing samples. Both
+    // buttons are disabled while a burst is under way. The template's canvas
+    // displays the most recent sample.
+    // Exposes a method to retrieve the captured samples' pixels, as well as
+    // methods used to save and load the samples as images. Whole frames are
+    // kept, but only their region of interest, preprocessed, is retrieved for
+    // comparison. The retrieved samples are cached until the samples, the
+    // region, or the preprocessing change.
+
+    // Constants
+    const BURST_SIZE = 5;       // Number of frames captured per burst.
+    const BURST_INTERVAL = 100; // Time in ms between frames of a burst.
+    const MAX_SAMPLES = 20;     // Beyond this number of samples, the oldest are dropped.
 
     // Local variables and methods
     let cc = makeCanvasContainer(name);
-    let selector = `input[type=button][data-canvas-id=${name}]`;
-    let button = document.querySelector(selector);
+    let captureButton = document.querySelector(`input[type=button][data-canvas-id=${name}][name=capture]`);
+    let addButton = document.querySelector(`input[type=button][data-canvas-id=${name}][name=addSamples]`);
+    let countElem = document.querySelector(`.sampleCount[data-canvas-id=${name}]`);
+    let emitter = new EventEmitter();
+    let samples = [];           // ImageData objects, oldest first.
+    let cropped = null;         // The samples as retrieved for comparison, if up to date.
+
+    const getFrame = () => cc.context.getImageData(0, 0, cc.getWidth(), cc.getHeight());
+
+    function setSamples(newSamples) {
+        // Replace the samples, and display the latest.
+        samples = newSamples.slice(-MAX_SAMPLES);
+        cropped = null;
+        cc.context.clearRect(0, 0, cc.getWidth(), cc.getHeight());
+        if (samples.length > 0) {
+            cc.context.putImageData(samples[samples.length - 1], 0, 0);
+        }
+        countElem.textContent = samples.length;
+    }
 
-    function capture() {
-        // Procedure to capture the current video image as a template.
+    function grab() {
+        // Capture the current video image as a sample.
         cc.context.drawImage(videoStream.getVideo(), 0, 0, cc.getWidth(), cc.getHeight());
+        setSamples(samples.concat([getFrame()]));
+    }
+
+    function setBursting(bursting) {
+        captureButton.disabled = bursting;
+        addButton.disabled = bursting;
+    }
+
+    function burst(keep) {
+        // Capture a burst of frames. If keep is false, the existing samples
+        // are discarded first. When done, tell listeners.
+        let remaining = BURST_SIZE;
+        function step() {
+            grab();
+            remaining -= 1;
+            if (remaining === 0) {
+                window.clearInterval(interval);
+                setBursting(false);
+                emitter.emit("capture");
+            }
+        }
+        if (captureButton.disabled) {
+            return;             // Another burst is under way.
+        }
+        setBursting(true);
+        if (!keep) {
+            setSamples([]);
+        }
+        let interval = window.setInterval(step, BURST_INTERVAL);
+    }
+
+    function toDataURL(sample) {
+        // Convert a sample to a PNG data URL.
+        let canvas = document.createElement("canvas");
+        canvas.width = sample.width;
+        canvas.height = sample.height;
+        canvas.getContext("2d").putImageData(sample, 0, 0);
+        return canvas.toDataURL("image/png");
+    }
+
+    function toSample(dataURL, cb) {
+        // Convert an image given as a data URL to a sample, and pass it to cb.
+        let image = new window.Image();
+        let canvas = document.createElement("canvas");
+        canvas.width = cc.getWidth();
+        canvas.height = cc.getHeight();
+        let context = canvas.getContext("2d");
+        function onLoad() {
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            cb(context.getImageData(0, 0, canvas.width, canvas.height));
+        }
+        image.addEventListener("load", onLoad);
+        image.src = dataURL;
+    }
+
+    // The returned object.
+    let that = {
+        getSamples: function() {
+            // Return the samples, cropped to the region of interest and preprocessed.
+            if (cropped === null) {
+                let options = gazeSettings.getPreprocessing();
+                cropped = samples.map((sample) => imaging.preprocess(region.crop(sample), options));
+            }
+            return cropped;
+        },
+        toDataURLs: () => samples.map(toDataURL),
+        clear: () => setSamples([]),
+        load: function(dataURLs) {
+            // Replace the samples with images given as data URLs. The images
+            // are decoded asynchronously; the samples are replaced once all
+            // are ready.
+            let loaded = new Array(dataURLs.length);
+            let remaining = dataURLs.length;
+            function each(dataURL, ix) {
+                toSample(dataURL, function(sample) {
+                    loaded[ix] = sample;
+                    remaining -= 1;
+                    if (remaining === 0) {
+                        setSamples(loaded);
+                    }
+                });
+            }
+            if (remaining === 0) {
+                setSamples([]);
+            }
+            dataURLs.forEach(each);
+        },
+        addCaptureListener: (listener) => emitter.addListener("capture", listener)
+    };
+
+    // Bind event handlers and return.
+    region.addChangeListener(() => cropped = null);
+    gazeSettings.addPreprocessListener(() => cropped = null);
+    captureButton.addEventListener("click", () => burst(false));
+    addButton.addEventListener("click", () => burst(true));
+    setSamples([]);
+    return that;
+}
+
+function makeCalibrations(videoStream, region, templates, settings) {
+    // Constructor for the calibration history of the current profile. A
+    // calibration is a set of templates captured with a given camera. Each time
+    // a template is captured, the current templates are saved as a
+    // calibration: one image per sample, plus metadata recording the camera,
+    // the time, the camera's resolution, and the number of samples in each
+    // template. The region of interest is saved with the calibration too; when
+    // the caregiver draws a new region, it replaces the region of the selected
+    // calibration. The metadata for all calibrations is kept in a single index
+    // file. (Calibrations saved before templates held several samples have no
+    // sample counts; they hold a single image per template. Calibrations saved
+    // before regions existed compare the whole frame.)
+    // Each calibration also records the kind of detector it was captured for
+    // (e.g. "gaze" or "blink"), since the templates mean different things to
+    // different detectors. Calibrations saved before there was more than one
+    // kind are gaze calibrations.
+    // The first capture after a calibration is loaded saves a new calibration;
+    // later captures update that one, so that capturing each template in turn
+    // doesn't crowd older calibrations out of the history.
+    // When a camera detector is selected, the camera changes, or the profile
+    // changes, the most recent calibration for the selected camera and the
+    // current kind of detector is loaded. The caregiver may also pick an older
+    // calibration from a dropdown menu, or delete one.
+    // The returned object lets detectors set the current kind.
+
+    // Constants
+    const MAX_CALIBRATIONS = 20; // Older calibrations are deleted beyond this number.
+
+    // Private variables and methods.
+    let historyElem = document.querySelector("select[name=calibration]");
+    let deleteButton = document.querySelector("input[type=button][name=deleteCalibration]");
+    const names = Object.keys(templates);
+    const indexFile = () => storage.profilePath("calibrations", "index.json");
+    const sampleFile = (id, name, ix) => storage.profilePath("calibrations", `${id}-${name}-${ix}.png`);
+    const legacyFile = (id, name) => storage.profilePath("calibrations", `${id}-${name}.png`);
+    const readIndex = () => storage.readJSON(indexFile(), []);
+    const getKind = (calibration) => calibration.kind || "gaze";
+    const forCamera = () => readIndex().filter((c) => c.deviceId === videoStream.getDeviceId() &&
+                                               getKind(c) === kind);
+    let kind = null;            // The kind of detector in use. Nothing is loaded until it's set.
+    let currentId = null;       // The calibration saved since the last one was loaded.
+
+    function updateOptions(selectedId) {
+        // List the calibrations for the selected camera, most recent first.
+        historyElem.innerHTML = "";
+        function each(calibration) {
+            let opt = document.createElement("option");
+            opt.value = calibration.id;
+            opt.text = new Date(calibration.timestamp).toLocaleString();
+            historyElem.add(opt);
+        }
+        forCamera().reverse().forEach(each);
+        historyElem.value = selectedId;
+    }
+
+    function getFiles(calibration, name) {
+        // Return the image files holding the samples of one template of a calibration.
+        if (calibration.samples === undefined) {
+            return [legacyFile(calibration.id, name)];
+        }
+        let count = calibration.samples[name] || 0;
+        return Array.from(new Array(count), (x, ix) => sampleFile(calibration.id, name, ix));
+    }
+
+    function apply(calibration) {
+        // Load the templates and the region of a calibration.
+        region.set(calibration.region || null);
+        function each(name) {
+            let dataURLs = getFiles(calibration, name).map(storage.readDataURL);
+            templates[name].load(dataURLs.filter((dataURL) => dataURL !== null));
+        }
+        names.forEach(each);
+    }
+
+    function loadLatest() {
+        // Load the most recent calibration for the selected camera. If there
+        // is none, the templates are cleared.
+        if (kind === null) {
+            return;
+        }
+        currentId = null;
+        let calibrations = forCamera();
+        let latest = calibrations[calibrations.length - 1];
+        if (latest === undefined) {
+            names.forEach((name) => templates[name].clear());
+            region.set(null);
+            updateOptions(null);
+        } else {
+            apply(latest);
+            updateOptions(latest.id);
+        }
+    }
+
+    function remove(index, calibration) {
+        // Remove a calibration from the index and delete its images.
+        names.forEach((name) => getFiles(calibration, name).forEach(storage.removeFile));
+        return index.filter((c) => c.id !== calibration.id);
+    }
+
+    function save() {
+        // Save the current templates, replacing the calibration saved since
+        // the last one was loaded, if any.
+        let index = readIndex();
+        let previous = index.find((c) => c.id === currentId);
+        if (previous !== undefined) {
+            index = remove(index, previous);
+        }
+        let timestamp = Date.now();
+        let calibration = { id: previous === undefined ? timestamp.toString(36) : previous.id,
+                            deviceId: videoStream.getDeviceId(),
+                            kind,
+                            timestamp,
+                            resolution: videoStream.getResolution(),
+                            region: region.get(),
+                            samples: {} };
+        function each(name) {
+            let dataURLs = templates[name].toDataURLs();
+            calibration.samples[name] = dataURLs.length;
+            dataURLs.forEach((dataURL, ix) =>
+                             storage.writeDataURL(sampleFile(calibration.id, name, ix), dataURL));
+        }
+        names.forEach(each);
+        index = index.concat([calibration]);
+        while (index.length > MAX_CALIBRATIONS) {
+            index = remove(index, index[0]);
+        }
+        storage.writeJSON(indexFile(), index);
+        currentId = calibration.id;
+        updateOptions(calibration.id);
+    }
+
+    function select() {
+        // Load the calibration picked from the dropdown menu.
+        let calibration = readIndex().find((c) => c.id === historyElem.value);
+        if (calibration !== undefined) {
+            currentId = null;
+            apply(calibration);
+        }
+    }
+
+    function saveRegion() {
+        // Record a newly drawn region in the selected calibration.
+        let index = readIndex();
+        let calibration = index.find((c) => c.id === historyElem.value);
+        if (calibration !== undefined) {
+            calibration.region = region.get();
+            storage.writeJSON(indexFile(), index);
+        }
+    }
+
+    function deleteSelected() {
+        // Delete the calibration selected in the dropdown menu, and fall back
+        // on the most recent one left.
+        let calibration = readIndex().find((c) => c.id === historyElem.value);
+        if (calibration !== undefined) {
+            storage.writeJSON(indexFile(), remove(readIndex(), calibration));
+            loadLatest();
+        }
     }
 
     // The returned object.
     let that = {
-        getPixels: () => cc.context.getImageData(0, 0, cc.getWidth(), cc.getHeight())
+        setKind: function(newKind) {
+            // Switch to the calibrations of another kind of detector.
+            if (newKind !== kind) {
+                kind = newKind;
+                loadLatest();
+            }
+        }
     };
 
-    // Bind event handler and return.
-    button.addEventListener("click", capture);
+    // Bind event handlers and return.
+    names.forEach((name) => templates[name].addCaptureListener(save));
+    videoStream.addSourceListener(loadLatest);
+    region.addDrawListener(saveRegion);
+    settings.getProfiles().addChangeListener(loadLatest);
+    historyElem.addEventListener("change", select);
+    deleteButton.addEventListener("click", deleteSelected);
     return that;
 }
 
-function getVideoSource() {
+function getVideoSource(settings) {
     // Detects all available video input sources (e.g. MacBook pro camera, USB
     // cameras if attached, etc). Adds them as options in the relevant drop-down
     // menu in the app. Returns the DOM object for this menu.
+    // Once the sources are known, the camera selected last time is selected
+    // again (the choice is saved in the settings store), and a change event is
+    // fired so that the stream and the templates follow the selected camera.
 
     let sourceElem = document.querySelector("select[name=videoSource]");
     function success(devices) {
@@ -345,6 +1343,8 @@ function getVideoSource() {
             }
         }
         devices.forEach(appendIfVideo);
+        settings.getStore().bind("videoSource", sourceElem);
+        sourceElem.dispatchEvent(new window.Event("change"));
     }
     function failure(err) {
         throw new Error("Video sources not correctly detected.");
@@ -374,34 +1374,336 @@ function makeCanvasContainer(name) {
     return that;
 }
 
-function l1Distance(img1, img2) {
-    // Compute the L1 distance between two imageData objects. Used by the gaze
-    // detector.
-    // Info on imageData object here: https://developer.mozilla.org/en-US/docs/Web/API/ImageData
-    let { width, height } = checkDimensions(img1, img2);
-    let x1 = img1.data;
-    let x2 = img2.data;
-    let distance = 0;
-    let ixMax = width * height * 4;
-    for (let i = 0; i < ixMax; i += 1) {
-        if (i % 4 === 3) {
-            continue;           // Don't compare the alpha values.
+// ************************************************************************** //
+
+let microphone = null;          // The microphone and its calibration, shared by all sound detectors.
+
+function getMicrophone(spec) {
+    // Return the microphone and its calibration. These are created when the
+    // program starts, so that the sound settings work whichever detector is
+    // selected, and shared afterwards by all sound detectors. The microphone
+    // itself is only opened the first time its level is needed.
+    if (microphone === null) {
+        let mic = makeMicrophone(spec.settings, spec.speaker.getAudioContext());
+        let calibration = makeSoundCalibration(mic, spec.settings);
+        microphone = { mic, calibration };
+    }
+    return microphone;
+}
+
+function makeMicrophone(settings, audioContext) {
+    // Create an object that wraps the microphone. The sound is analysed with
+    // the Web Audio API, in the audio context of the speaker. The level
+    // reported is the average energy (0 to 255) in the frequency band chosen
+    // in the sound settings, so that, for instance, a hum can be told from
+    // background chatter. The band is saved in the settings store.
+
+    // Constants
+    const FFT_SIZE = 1024;      // Resolution of the frequency analysis.
+    const SMOOTHING = 0.3;      // Averaging of the analysis over time.
+
+    // Private variables
+    let analyser = audioContext.createAnalyser();
+    let bins = new Uint8Array(analyser.frequencyBinCount);
+    let lowElem = document.querySelector("input[type=number][name=soundLow]");
+    let highElem = document.querySelector("input[type=number][name=soundHigh]");
+    let meterElem = document.querySelector("meter[name=soundLevel]");
+    let opened = false;         // Whether the microphone has been asked for.
+
+    function open() {
+        // Ask for the microphone, the first time it's needed.
+        if (!opened) {
+            opened = true;
+            navigator.webkitGetUserMedia({ audio: true }, handleAudio, audioError);
+        }
+    }
+    function handleAudio(stream) {
+        audioContext.createMediaStreamSource(stream).connect(analyser);
+    }
+    function audioError(e) {
+        throw new Error("Something went wrong with the microphone.");
+    }
+
+    function getBand() {
+        // Return the range of analyser bins covered by the chosen band.
+        let hzPerBin = audioContext.sampleRate / FFT_SIZE;
+        let low = Math.floor((parseFloat(lowElem.value) || 0) / hzPerBin);
+        let high = Math.ceil((parseFloat(highElem.value) || Infinity) / hzPerBin);
+        low = Math.min(Math.max(low, 0), bins.length - 1);
+        high = Math.min(Math.max(high, low + 1), bins.length);
+        return { low, high };
+    }
+
+    // The exposed object.
+    let that = {
+        getLevel: function() {
+            // Return the current sound level in the chosen band, and show it
+            // in the sound settings.
+            open();
+            let { low, high } = getBand();
+            analyser.getByteFrequencyData(bins);
+            let total = 0;
+            for (let i = low; i < high; i += 1) {
+                total += bins[i];
+            }
+            let level = total / (high - low);
+            meterElem.value = level;
+            return level;
+        }
+    };
+
+    // Initialize and return.
+    analyser.fftSize = FFT_SIZE;
+    analyser.smoothingTimeConstant = SMOOTHING;
+    let store = settings.getStore();
+    store.bind("soundLow", lowElem);
+    store.bind("soundHigh", highElem);
+    return that;
+}
+
+function makeSoundCalibration(mic, settings) {
+    // Constructor for the calibration of the sound detector: the level of the
+    // room when the user is quiet, and the level when the user makes their
+    // sound. Each is captured by pressing a button in the sound settings,
+    // which records the level for CAPTURE_DURATION and keeps the average. Both
+    // buttons are disabled while a capture is under way. The levels are saved
+    // in the settings store.
+
+    // Constants
+    const CAPTURE_DURATION = 1500; // In ms.
+    const CAPTURE_RATE = 30;       // Samples per second.
+
+    // Private variables
+    let store = settings.getStore();
+    let levels = store.get("soundCalibration", { quiet: null, sound: null });
+    let quietButton = document.querySelector("input[type=button][name=captureQuiet]");
+    let soundButton = document.querySelector("input[type=button][name=captureSound]");
+    let quietElem = document.querySelector("span[data-sound-level=quiet]");
+    let soundElem = document.querySelector("span[data-sound-level=sound]");
+
+    function show() {
+        const format = (level) => level === null ? "-" : Math.round(level).toString();
+        quietElem.textContent = format(levels.quiet);
+        soundElem.textContent = format(levels.sound);
+    }
+
+    function setCapturing(capturing) {
+        quietButton.disabled = capturing;
+        soundButton.disabled = capturing;
+    }
+
+    function capture(name) {
+        // Record the average level over CAPTURE_DURATION as the level for name.
+        // If no level could be recorded, the old one is kept.
+        let samples = [];
+        function finish() {
+            window.clearInterval(interval);
+            setCapturing(false);
+            if (samples.length !== 0) {
+                levels[name] = samples.reduce((total, x) => total + x, 0) / samples.length;
+                store.set("soundCalibration", levels);
+                show();
+            }
+        }
+        if (quietButton.disabled) {
+            return;             // Another capture is under way.
+        }
+        setCapturing(true);
+        let interval = window.setInterval(() => samples.push(mic.getLevel()),
+                                          1000 / CAPTURE_RATE);
+        window.setTimeout(finish, CAPTURE_DURATION);
+    }
+
+    function reload() {
+        levels = store.get("soundCalibration", { quiet: null, sound: null });
+        show();
+    }
+
+    // The returned object.
+    let that = {
+        getLevels: function() {
+            // Return the calibrated levels, or null if the calibration isn't
+            // complete or makes no sense (the sound isn't louder than quiet).
+            let complete = levels.quiet !== null && levels.sound !== null;
+            return (complete && levels.sound > levels.quiet) ? levels : null;
+        }
+    };
+
+    // Bind event handlers, initialize, and return.
+    quietButton.addEventListener("click", () => capture("quiet"));
+    soundButton.addEventListener("click", () => capture("sound"));
+    store.addLoadListener(reload);
+    show();
+    return that;
+}
+
+// ************************************************************************** //
+
+let switches = null;            // The switch mapping, shared by all switch detectors.
+
+function getSwitches(spec) {
+    // Return the switch mapping. Like the microphone, it's created when the
+    // program starts and shared afterwards by all switch detectors.
+    if (switches === null) {
+        switches = makeSwitchMapping(spec.settings);
+    }
+    return switches;
+}
+
+function makeSwitchMapping(settings) {
+    // Constructor for the mapping from switches to the keys or gamepad buttons
+    // they send. A switch is learned by pressing its "learn" button in the
+    // switch settings and then pressing the switch: the next key pressed, or
+    // gamepad button pushed, is assigned to it. The mapping is saved in the
+    // settings store. Inputs are represented as { type: "key", code } or
+    // { type: "gamepad", id, button }, where id identifies the gamepad model.
+
+    // Constants
+    const GESTURES = ["primary", "secondary"];
+    const POLL_RATE = 30;       // While learning, check the gamepads 30 times a second.
+    const PROMPT = { en: "Press your switch now...",
+                     fr: "Appuyez sur votre contacteur..." };
+    const NONE = { en: "None", fr: "Aucun" };
+    const emptyMapping = () => ({ primary: null, secondary: null });
+
+    // Private variables
+    let store = settings.getStore();
+    let mapping = store.get("switches", emptyMapping());
+    let learning = null;        // The switch being learned, if any.
+    let interval = null;
+    let heldButtons = [];       // Gamepad buttons already down when learning started.
+
+    // Private methods
+    const getLanguage = () => settings.getLanguageSettings().getLanguage();
+    const getLabel = (gesture) => document.querySelector(`span[data-switch=${gesture}]`);
+
+    function describe(input) {
+        // Return a name for an input, to show the caregiver.
+        if (input === null) {
+            return NONE[getLanguage()];
+        } else if (input.type === "key") {
+            return input.code;
+        } else {
+            return `${input.id} (${input.button})`;
+        }
+    }
+
+    function show() {
+        GESTURES.forEach((gesture) => getLabel(gesture).textContent = describe(mapping[gesture]));
+    }
+
+    function stopLearning() {
+        learning = null;
+        window.clearInterval(interval);
+        document.removeEventListener("keydown", learnKey, true);
+    }
+
+    function learn(input) {
+        // Assign an input to the switch being learned.
+        mapping[learning] = input;
+        store.set("switches", mapping);
+        stopLearning();
+        show();
+    }
+
+    function learnKey(event) {
+        // Invoked on the first key pressed while learning. The key is captured
+        // before anything else on the page can see it.
+        event.preventDefault();
+        event.stopPropagation();
+        learn(keyInput(event));
+    }
+
+    function pollLearning() {
+        // Learn the first gamepad button pushed while learning.
+        const isNew = (input) => !heldButtons.some((held) => sameInput(held, input));
+        let pushed = getPressedGamepadButtons().find(isNew);
+        if (pushed !== undefined) {
+            learn(pushed);
         }
-        else {
-            distance += Math.abs(x1[i] - x2[i]);
+    }
+
+    function startLearning(gesture) {
+        // Wait for the caregiver to press the switch for gesture.
+        stopLearning();
+        learning = gesture;
+        getLabel(gesture).textContent = PROMPT[getLanguage()];
+        heldButtons = getPressedGamepadButtons();
+        document.addEventListener("keydown", learnKey, true);
+        interval = window.setInterval(pollLearning, 1000 / POLL_RATE);
+    }
+
+    function forget(gesture) {
+        stopLearning();
+        mapping[gesture] = null;
+        store.set("switches", mapping);
+        show();
+    }
+
+    function reload() {
+        stopLearning();
+        mapping = store.get("switches", emptyMapping());
+        show();
+    }
+
+    // The returned object.
+    let that = {
+        getMapping: () => mapping,
+        isLearning: () => learning !== null,
+        findGesture: function(input) {
+            // Return the gesture assigned to an input, or null if there's none.
+            let gesture = GESTURES.find((g) => mapping[g] !== null && sameInput(mapping[g], input));
+            return gesture === undefined ? null : gesture;
         }
+    };
+
+    // Bind event handlers, initialize, and return.
+    function bind(gesture) {
+        let learnButton = document.querySelector(`input[type=button][name=learnSwitch][data-switch=${gesture}]`);
+        let forgetButton = document.querySelector(`input[type=button][name=forgetSwitch][data-switch=${gesture}]`);
+        learnButton.addEventListener("click", () => startLearning(gesture));
+        forgetButton.addEventListener("click", () => forget(gesture));
     }
-    return distance;
+    GESTURES.forEach(bind);
+    store.addLoadListener(reload);
+    settings.getLanguageSettings().addChangeListener(show);
+    show();
+    return that;
+}
+
+function keyInput(event) {
+    // Return the input sent by a key event. The physical key is used where the
+    // browser reports it, so that the keyboard layout doesn't matter.
+    return { type: "key", code: event.code || event.key };
 }
 
-function checkDimensions(img1, img2) {
-    // Make sure that the image dimensions match up. If so, return width and height.
-    let matchWidth = img1.width === img2.width;
-    let matchHeight = img1.height === img2.height;
-    if (matchWidth & matchHeight) {
-        return { width: img1.width, height: img1.height };
+function getPressedGamepadButtons() {
+    // Return the inputs for all gamepad buttons currently pressed.
+    let pressed = [];
+    function each(gamepad) {
+        if (gamepad) {          // Disconnected gamepads leave a gap.
+            gamepad.buttons.forEach((button, ix) => {
+                if (button.pressed) {
+                    pressed.push({ type: "gamepad", id: gamepad.id, button: ix });
+                }
+            });
+        }
     }
-    else {
-        throw new Error("Image dimensions do not match.");
+    Array.from(navigator.getGamepads()).forEach(each);
+    return pressed;
+}
+
+function isGamepadButtonPressed(input) {
+    return getPressedGamepadButtons().some((pressed) => sameInput(pressed, input));
+}
+
+function sameInput(a, b) {
+    // Decide whether two inputs are the same key or gamepad button.
+    if (a.type !== b.type) {
+        return false;
+    } else if (a.type === "key") {
+        return a.code === b.code;
+    } else {
+        return a.id === b.id && a.button === b.button;
     }
 }
@@ -0,0 +1,41 @@
+/* jshint worker: true */
+/* global preprocess, classify */
+"use strict";
+
+// ************************************************************************** //
+
+// This script runs in a Web Worker, and classifies video frames for the gaze
+// detector, so that the pixel loops don't hold up the renderer's main thread
+// (speech synthesis, animations, and so on). The frame math itself lives in
+// imaging.js.
+//
+// The worker understands two messages, distinguished by their "type" field:
+// - "samples": The calibration samples, keyed by state, already cropped and
+//   preprocessed. They are kept until the next "samples" message, since they
+//   change far less often than frames arrive.
+// - "frame": A cropped video frame, along with the preprocessing options and
+//   the state to report if there's nothing to compare to. The worker
+//   preprocesses and classifies the frame, and posts back the classification,
+//   or { error } with a message if that fails.
+
+// ************************************************************************** //
+
+importScripts("imaging.js");
+
+let samples = {};               // The most recent samples, keyed by state.
+
+function onMessage(event) {
+    let message = event.data;
+    if (message.type === "samples") {
+        samples = message.samples;
+    } else if (message.type === "frame") {
+        try {
+            let frame = preprocess(message.frame, message.options);
+            self.postMessage(classify(frame, samples, message.defaultState));
+        } catch (e) {
+            self.postMessage({ error: e.message }); // The main thread is waiting for an answer.
+        }
+    }
+}
+
+self.addEventListener("message", onMessage);
@@ -0,0 +1,175 @@
+"use strict";
+
+// ************************************************************************** //
+
+// This module collects the procedures the gaze detector uses to compare video
+// frames: cropping, preprocessing, distances and classification. They work on
+// images, which are imageData objects or plain objects with the same width,
+// height and data fields. Plain objects can be posted to a Web Worker, and
+// this module is loaded both with require (by detector.js, on the renderer's
+// main thread) and with importScripts (by gaze-worker.js, which classifies
+// frames off the main thread). For this reason the module requires nothing,
+// and only exports its procedures when there is a module system to export to.
+// In the worker, the procedures are simply globals.
+
+// ************************************************************************** //
+
+if (typeof module !== "undefined") {
+    module.exports = { makeImage,
+                       crop,
+                       preprocess,
+                       classify,
+                       l1Distance };
+}
+
+function makeImage(width, height, data) {
+    // Create an image of the given dimensions. If no pixel data is given, the
+    // image is blank.
+    return { width,
+             height,
+             data: data || new Uint8ClampedArray(width * height * 4) };
+}
+
+function crop(img, rect) {
+    // Return the part of an image inside rect. If rect extends beyond the
+    // image, it is moved back inside.
+    let width = Math.min(rect.width, img.width);
+    let height = Math.min(rect.height, img.height);
+    let x0 = Math.min(Math.max(rect.x, 0), img.width - width);
+    let y0 = Math.min(Math.max(rect.y, 0), img.height - height);
+    let result = makeImage(width, height);
+    for (let y = 0; y < height; y += 1) {
+        let start = ((y0 + y) * img.width + x0) * 4;
+        result.data.set(img.data.subarray(start, start + width * 4), y * width * 4);
+    }
+    return result;
+}
+
+function preprocess(img, options) {
+    // Prepare an image for comparison, so that differences in lighting weigh
+    // less than differences in the user's eyes. Returns a new image; steps are
+    // applied in this order, if the options (as given by the gaze settings'
+    // getPreprocessing) call for them:
+    // - Grayscale conversion, which removes the colour cast of the light.
+    // - Histogram equalization, which spreads each channel's values evenly
+    //   over the range 0-255, compensating for changes in contrast.
+    // - Mean/variance normalization, which shifts and scales each channel to
+    //   a fixed mean and standard deviation, compensating for changes in
+    //   brightness.
+    const N_LEVELS = 256;
+    const MEAN = 128;           // Target mean and standard deviation after normalization.
+    const STD = 32;
+    let data = new Uint8ClampedArray(img.data);
+    let nPixels = img.width * img.height;
+    function eachChannel(f) {
+        // Invoke f on the offset of each colour channel (not alpha).
+        [0, 1, 2].forEach(f);
+    }
+    function grayscale() {
+        for (let i = 0; i < data.length; i += 4) {
+            let y = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            data[i] = data[i + 1] = data[i + 2] = y;
+        }
+    }
+    function equalize(channel) {
+        let cdf = new Array(N_LEVELS).fill(0);
+        for (let i = channel; i < data.length; i += 4) {
+            cdf[data[i]] += 1;
+        }
+        for (let v = 1; v < N_LEVELS; v += 1) {
+            cdf[v] += cdf[v - 1];
+        }
+        let cdfMin = cdf.find((count) => count > 0);
+        if (cdfMin === nPixels) {
+            return;             // A single value; nothing to spread out.
+        }
+        for (let i = channel; i < data.length; i += 4) {
+            data[i] = Math.round((cdf[data[i]] - cdfMin) / (nPixels - cdfMin) * (N_LEVELS - 1));
+        }
+    }
+    function normalize(channel) {
+        let sum = 0;
+        let sumSquares = 0;
+        for (let i = channel; i < data.length; i += 4) {
+            sum += data[i];
+            sumSquares += data[i] * data[i];
+        }
+        let mean = sum / nPixels;
+        let std = Math.sqrt(Math.max(sumSquares / nPixels - mean * mean, 0)) || 1;
+        for (let i = channel; i < data.length; i += 4) {
+            data[i] = MEAN + STD * (data[i] - mean) / std;
+        }
+    }
+    if (options.grayscale) {
+        grayscale();
+    }
+    if (options.equalize) {
+        eachChannel(equalize);
+    }
+    if (options.normalize) {
+        eachChannel(normalize);
+    }
+    return makeImage(img.width, img.height, data);
+}
+
+function classify(frame, samples, defaultState) {
+    // Classify a video frame with the k-nearest-neighbour rule. The argument
+    // "samples" maps each state (e.g. "rest" and "gaze") to the samples
+    // captured for that state. The frame is given the state most common among
+    // its K nearest samples, by L1 distance. If some state has no samples,
+    // there's nothing to decide between, and the frame gets defaultState.
+    // Returns the state, along with the confidence of the classification: the
+    // fraction of the nearest samples that voted for the chosen state.
+    // Also returns the distance from the frame to the nearest sample of each
+    // state.
+    const K = 5;                // Number of neighbours that vote.
+    let states = Object.keys(samples);
+    if (!states.every((state) => samples[state].length > 0)) {
+        return { state: defaultState, confidence: 0, distances: {} };
+    }
+    let neighbours = [];
+    let distances = {};
+    function each(state) {
+        let ds = samples[state].map((sample) => l1Distance(frame, sample));
+        ds.forEach((distance) => neighbours.push({ state, distance }));
+        distances[state] = Math.min(...ds);
+    }
+    states.forEach(each);
+    neighbours.sort((a, b) => a.distance - b.distance);
+    let nearest = neighbours.slice(0, K);
+    let votes = {};
+    nearest.forEach((n) => votes[n.state] = (votes[n.state] || 0) + 1);
+    let state = states.reduce((best, s) => (votes[s] || 0) > (votes[best] || 0) ? s : best);
+    return { state, confidence: votes[state] / nearest.length, distances };
+}
+
+function l1Distance(img1, img2) {
+    // Compute the L1 distance between two images.
+    // Info on imageData object here: https://developer.mozilla.org/en-US/docs/Web/API/ImageData
+    let { width, height } = checkDimensions(img1, img2);
+    let x1 = img1.data;
+    let x2 = img2.data;
+    let distance = 0;
+    let ixMax = width * height * 4;
+    for (let i = 0; i < ixMax; i += 1) {
+        if (i % 4 === 3) {
+            continue;           // Don't compare the alpha values.
+        }
+        else {
+            distance += Math.abs(x1[i] - x2[i]);
+        }
+    }
+    return distance;
+}
+
+function checkDimensions(img1, img2) {
+    // Make sure that the image dimensions match up. If so, return width and height.
+    let matchWidth = img1.width === img2.width;
+    let matchHeight = img1.height === img2.height;
+    if (matchWidth & matchHeight) {
+        return { width: img1.width, height: img1.height };
+    }
+    else {
+        throw new Error("Image dimensions do not match.");
+    }
+}
@@ -75,6 +75,7 @@ function makeGenericButton(spec, my) {
         isEmpty: () => my.buttonElem.value === "",
         getWaitMultiplier: () => my.waitMultiplier,
         getTargetMenu: () => null, // MenuButtons overwrite this.
+        isDeletion: () => false,   // Buttons that delete text overwrite this.
         announce: function() {
             // Have the button state its name.
             if (my.settings.useSound()) {
@@ -116,7 +117,7 @@ function makeGenericButton(spec, my) {
     Object.assign(that, thatAssignments);
 
     // Initialize and return
-    my.buttonElem.addEventListener("click", that.pressed);
+    my.buttonElem.addEventListener("click", () => that.pressed()); // Descendants may overwrite "pressed".
     return that;
 }
 
@@ -143,6 +144,15 @@ function makeTextButton(spec, my) {
     // Additional public data.
     let thatAssignments1 = {
         setText: (text) => that.setButtonValue(text.toUpperCase()),
+        setAnnouncement: function(announcement) {
+            // Set what the button announces (a string, or an object keyed by
+            // language). If undefined, the button announces its text.
+            if (announcement === undefined) {
+                delete my.buttonElem.dataset.announcement;
+            } else {
+                my.buttonElem.dataset.announcement = JSON.stringify(announcement);
+            }
+        },
         getText: () => that.getButtonValue().toLowerCase(),
         getTextCategory: () => that.buttonType
     };
@@ -169,8 +179,8 @@ function makeSpaceButton(spec, my) { // Writes a space to the buffer.
 registerConstructor("space", makeSpaceButton);
 
 function makeGuessButton(spec, my) {
-    // Constructor for buttons that handle guesses retrieved from web API or
-    // elsewhere. To work correctly these buttons must be part of a GuessMenu.
+    // Constructor for buttons that handle guesses retrieved from the word
+    // predictor. To work correctly these buttons must be part of a GuessMenu.
 
     my = my || {};
     let that = makeTextButton(spec, my);
@@ -211,6 +221,8 @@ function makeBufferActionButton(spec, my) {
 
     // Public additions.
     let thatAssignments= {
+        isDeletion: () => ["delete", "deleteWord", "deleteSentence", "smartDelete", "undo"].includes(
+            my.getActionName()),
         action: function() {
             my.buffer.executeAction(my.getActionName(), my.finished); // Pass the callback along to the buffer method
         }
@@ -221,6 +233,106 @@ function makeBufferActionButton(spec, my) {
 }
 registerConstructor("bufferAction", makeBufferActionButton);
 
+function makePhraseButton(spec, my) {
+    // Constructor for buttons holding a phrase from the phrase bank. Depending
+    // on the phrase settings, the phrase is either written to the buffer or
+    // spoken right away.
+
+    my = my || {};
+    let that = makeGenericButton(spec, my);
+
+    // Public additions.
+    let thatAssignments = {
+        action: function() {
+            let phrase = that.getButtonValue();
+            if (my.settings.getPhraseSettings().getAction() === "speak") {
+                my.speaker.speakAsync(phrase, my.finished, my.buttonElem);
+            } else {
+                my.buffer.write(phrase, "phrase");
+                my.finished();
+            }
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    return that;
+}
+registerConstructor("phrase", makePhraseButton);
+
+function makeSpeakNowButton(spec, my) {
+    // Constructor for quick-talk buttons, for urgent needs ("yes", "help",
+    // etc.). When pressed, the button speaks its preset text at once, without
+    // going through the buffer, and then returns control to the scanner. The
+    // text is kept in the button's dataset, as a string or an object keyed by
+    // language. The caregiver places these buttons on the menus (see menus.js).
+
+    my = my || {};
+    let that = makeGenericButton(spec, my);
+
+    // Internal constants.
+    const AFTER_SPEECH_WAIT = 500; // Time after speaking before continuing program.
+
+    // Public additions.
+    let thatAssignments = {
+        getSpeech: () => JSON.parse(my.buttonElem.dataset.speech),
+        action: () => my.speaker.speakAsync(that.getSpeech(), my.finished,
+                                            my.buttonElem, AFTER_SPEECH_WAIT),
+        pressed: () => that.action() // Speak right away, without announcing the button first.
+    };
+    Object.assign(that, thatAssignments);
+
+    return that;
+}
+registerConstructor("speakNow", makeSpeakNowButton);
+
+function makeHistoryButton(spec, my) {
+    // Constructor for buttons holding a past message from the history (see
+    // message-history.js). Depending on the button's data-history-action, the
+    // message is either spoken again or loaded back into the buffer.
+    // Messages can be much longer than a button is wide, so the button shows
+    // (and the scanner announces) only the start of a long message, with an
+    // ellipsis. The whole message is kept to speak or load.
+
+    // Constants
+    const MAX_LABEL = 30;       // The number of characters shown on the button.
+
+    my = my || {};
+    let that = makeGenericButton(spec, my);
+    my.message = "";
+
+    // Private methods.
+    function makeLabel(message) {
+        // Cut a long message short, at a word boundary if there's one.
+        if (message.length <= MAX_LABEL) {
+            return message;
+        }
+        let cut = message.slice(0, MAX_LABEL);
+        let lastSpace = cut.lastIndexOf(" ");
+        return (lastSpace > 0 ? cut.slice(0, lastSpace) : cut) + "…";
+    }
+
+    // Public additions.
+    let thatAssignments = {
+        setButtonValue: function(message) {
+            my.message = message;
+            my.buttonElem.value = makeLabel(message);
+        },
+        action: function() {
+            let message = my.message;
+            if (my.buttonElem.dataset.historyAction === "speak") {
+                my.speaker.speakAsync(message, my.finished, my.buttonElem);
+            } else {
+                my.buffer.write(message, "history");
+                my.finished();
+            }
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    return that;
+}
+registerConstructor("history", makeHistoryButton);
+
 function makeMenuSelectorButton(spec, my) {
     // Constructor for buttons whose job it is to kick off other menus. For
     // example: the first column on the main commboard.
@@ -313,6 +425,7 @@ function makeEmailButton(spec, my) {
             const signature = emailSettings.getSignature();
             const address = emailSettings.getAddress();
             const password = emailSettings.getPassword();
+            const message = my.buffer.getText();
             const signoffText = (`This message was sent for ${signature} using ` +
                                  "wedjat, experimental software to enable people " +
                                  "with disabilities to use a computer.");
@@ -326,7 +439,10 @@ function makeEmailButton(spec, my) {
                                           my.finished, my.buttonElem);
                     console.log(error);
                 } else {
-                    // Otherwise, inform user of success and continue program.
+                    // Otherwise, learn its last word, save the message in the
+                    // history, inform user of success and continue program.
+                    my.buffer.finishMessage();
+                    my.history.add(message, "email");
                     my.speaker.speakAsync({ en: `Message sent to ${that.getButtonValue()}`,
                                             fr: `Message envoyé à ${that.getButtonValue()}`},
                                           my.finished,
@@ -344,7 +460,7 @@ function makeEmailButton(spec, my) {
                 from: `"${signature}" <${address}>`,
                 to: `${my.address}`, // list of receivers
                 subject: `A message from ${signature}`, // Subject line
-                text: my.buffer.getText() + "\n\n\n" + signoffText // plaintext body
+                text: message + "\n\n\n" + signoffText // plaintext body
             };
 
             // Send the email.
@@ -6,12 +6,13 @@ const _ = require("underscore");
 
 // File imports
 const menuButton = require("./menu-button.js");
+const storage = require("./storage.js");
 const util = require("./util.js");
 
 // ************************************************************************** //
 
 // The module exposes the procedure "menus". This procedure takes a spec
-// containing detector, buffer, and settings objects, and returns an object
+// containing detector, buffer, settings, predictor and history objects, and returns an object
 // representing a hash of all menus in the program.
 //
 // The "menus" procedure invokes the "menu" procedure, which in turn creates a
@@ -25,19 +26,47 @@ const util = require("./util.js");
 // name. Constructors are added this table by passing a menu and a base
 // procedure, as well as two extra behaviors, into "registerConstructor".
 //
-// The two extra behaviors specify the hiding behavior and scanning behavior of
-// the menu. Some menus (labeled "dropdown") should be hideable, while others
+// The extra behaviors specify the hiding behavior and scanning behavior of the
+// menu. Some menus (labeled "dropdown") should be hideable, while others
 // (labeled "commboard") should always be visible. Likewise, some menus (labeled
 // "repeat") should start over when finished scanning, while others (labeled
 // "finish") should return control to their calling menu.
 //
+// An optional third behavior, scanStrategy, says how the scanner should divide
+// up the menu. By default ("linear") the buttons are scanned one at a time.
+// With "group", the buttons are scanned in consecutive groups of groupSize
+// (another optional behavior), and the user narrows down inside the chosen
+// group. With "rowColumn", which suits menus laid out as a grid, the groups are
+// the rows of the grid; a row with a data-announcement attribute is announced
+// by it when scanned. The letter menus take their strategy from the scan
+// settings instead, so that the caregiver can choose whether letters are
+// scanned one at a time or in groups.
+//
 // This is simpler to understand in code. See the calls to "registerConstructor"
 // below.
+//
+// Besides the buttons in index.html, the caregiver can place "speak now"
+// buttons (see menu-button.js) on any menu, by listing them in the file
+// speakNow.json in the user data directory. The file is read when the program
+// starts. For instance:
+//
+//   [{ "menu": "extras", "text": {"en": "Yes", "fr": "Oui"} },
+//    { "menu": "buffer", "text": "Suction", "speech": "Suction please" }]
+//
+// Each button is added at the end of the row holding the menu's last button. It
+// shows its text, and speaks its speech (its text, if there's no speech); both
+// may be a string, or an object keyed by language. Speak now buttons are kept
+// apart from the menu's own buttons, so that menus which fill in their own
+// buttons (with letters, guesses, etc.) leave them alone. They are scanned
+// after the menu's own buttons.
 
 let constructors = {};
 
 function registerConstructor(name, constructor, behavior) {
-    // Add a menu constructor to the table.
+    // Add a menu constructor to the table. Optional behaviors not given take
+    // their default values.
+    const DEFAULT_BEHAVIOR = { scanStrategy: "linear",
+                               groupSize: 4 };
     function decoratedConstructor(spec) {
         // The input spec consists of buffer, detector, and settings objects. It
         // must be augmented by the name of the menu, as well as the menu's
@@ -45,7 +74,7 @@ function registerConstructor(name, constructor, behavior) {
         let my = {};
         let fullSpec = Object.assign({}, spec, { menuName: name });
         let that = constructor(fullSpec, my);
-        Object.assign(my, behavior);
+        Object.assign(my, DEFAULT_BEHAVIOR, behavior);
         if (my.hide === "dropdown") {
             that.slideUp();
         }
@@ -54,6 +83,71 @@ function registerConstructor(name, constructor, behavior) {
     constructors[name] = decoratedConstructor;
 }
 
+function addSpeakNowButtons(settings) {
+    // Add the speak now buttons listed by the caregiver to the DOM, before the
+    // menus are created. The file must hold a list of entries. Invalid entries
+    // and entries naming a menu that doesn't exist are skipped, as is the
+    // whole file if it can't be read; the problems are shown in the settings.
+    const SPEAK_NOW_FILE = "speakNow.json";
+    let errors = [];
+    let language = settings.getLanguageSettings().getLanguage();
+    let languages = settings.getLanguageSettings().getLanguages();
+    // Text is either a string, or gives a string for every language.
+    const isText = (text) => (typeof text === "string" ||
+                              (typeof text === "object" && text !== null &&
+                               languages.every((lang) => typeof text[lang] === "string")));
+    const isEntry = (entry) => (typeof entry === "object" && entry !== null &&
+                                typeof entry.menu === "string" && isText(entry.text) &&
+                                (entry.speech === undefined || isText(entry.speech)));
+    function each(entry) {
+        if (!isEntry(entry)) {
+            errors.push({ en: `Invalid speak now button ${JSON.stringify(entry)}`,
+                          fr: `Bouton « parler » invalide ${JSON.stringify(entry)}` });
+            return;
+        }
+        let elems = document.querySelectorAll(`input[type=button][data-menu="${entry.menu}"]`);
+        if (elems.length === 0) {
+            errors.push({ en: `No menu named ${entry.menu} for speak now button`,
+                          fr: `Aucun menu nommé ${entry.menu} pour le bouton « parler »` });
+            return;
+        }
+        let buttonElem = document.createElement("input");
+        buttonElem.type = "button";
+        buttonElem.className = "buttonOff";
+        buttonElem.dataset.menu = entry.menu;
+        buttonElem.dataset.buttonType = "speakNow";
+        buttonElem.dataset.speech = JSON.stringify(entry.speech || entry.text);
+        if (typeof entry.text === "string") {
+            buttonElem.value = entry.text;
+        } else {
+            buttonElem.dataset.languages = JSON.stringify(entry.text); // So that the language settings translate it.
+            buttonElem.value = entry.text[language];
+        }
+        let cell = document.createElement("td");
+        let lastCell = elems[elems.length - 1].parentNode;
+        cell.appendChild(buttonElem);
+        lastCell.parentNode.insertBefore(cell, lastCell.nextSibling);
+    }
+    function cantRead(e) {      // Don't keep the program from starting.
+        errors.push({ en: `Can't read speak now buttons: ${e.message}`,
+                      fr: `Impossible de lire les boutons « parler » : ${e.message}` });
+    }
+    let entries;
+    try {
+        entries = storage.readJSON(storage.userPath(SPEAK_NOW_FILE), [], cantRead);
+    } catch (e) {
+        cantRead(e);
+        entries = [];
+    }
+    if (!Array.isArray(entries)) {
+        errors.push({ en: `Invalid speak now buttons: ${SPEAK_NOW_FILE} must hold a list`,
+                      fr: `Boutons « parler » invalides : ${SPEAK_NOW_FILE} doit contenir une liste` });
+        entries = [];
+    }
+    entries.forEach(each);
+    settings.showErrors("speakNow", errors);
+}
+
 function menu(name, spec) {     // Create a single menu given a menu name and a spec.
     return constructors[name](spec);
 }
@@ -64,16 +158,18 @@ function menus(spec) {
     function initHideables() {
         // Some DOM elements should hide when the corresponding button in the UI is selected.
         let containers = document.querySelectorAll(".hideable");
-        function onChange(event) {
-            if (event.target.checked) {
+        function onChange() {
+            if (spec.settings.showMenu()) {
                 jQuery(containers).show();
             } else {
                 jQuery(containers).hide();
             }
         }
         spec.settings.addShowMenuListener(onChange);
+        onChange();             // The setting may have been restored as hidden.
     }
 
+    addSpeakNowButtons(spec.settings);
     let allMenus = {};
     const eachConstructor = (name) => allMenus[name] = menu(name, spec);
     Object.keys(constructors).forEach(eachConstructor);
@@ -118,11 +214,13 @@ function makeGenericMenu(menuSpec, my) {
     let myData1 = {             // Menu and button objects from the DOM
         menuElem: document.getElementById(my.menuName),
         buttonElems: document.querySelectorAll(
-            `input[type=button][data-menu="${my.menuName}"]`)
+            `input[type=button][data-menu="${my.menuName}"]:not([data-button-type=speakNow])`),
+        speakNowElems: document.querySelectorAll(
+            `input[type=button][data-menu="${my.menuName}"][data-button-type=speakNow]`)
     };
     Object.assign(my, myData1);
     let myMethods = {
-        initButtons: function() { // Pass type tag and spec to menu button constructor.
+        initButtons: function(buttonElems) { // Pass type tag and spec to menu button constructor.
             // Note on design: in principle, could just pass the spec and have
             // the constructor get the type from the DOM element attached to the
             // spec.  In general, however, we want to be able to dispatch on
@@ -137,13 +235,15 @@ function makeGenericMenu(menuSpec, my) {
                                     menu: that };
                 return Object.assign(assignments, menuSpec);
             };
-            let buttonSpecs = [].map.call(my.buttonElems, makeButtonSpec);
+            let buttonSpecs = [].map.call(buttonElems, makeButtonSpec);
             return buttonSpecs.map(initButton);
-        }
+        },
+        getScanStrategy: () => my.scanStrategy // Overridden by menus whose strategy is a setting.
     };
     Object.assign(my, myMethods);
     let myData2 = {             // Initialize child buttons and attach to menu object.
-        buttons: my.initButtons(),
+        buttons: my.initButtons(my.buttonElems),
+        speakNowButtons: my.initButtons(my.speakNowElems),
         children: null
     };
     Object.assign(my, myData2);
@@ -166,14 +266,43 @@ function makeGenericMenu(menuSpec, my) {
             children.forEach(setParent);
         },
         getChildren: () => my.children,
-        getButtons: () => my.buttons,
-        getNButtons: () => my.buttons.length,
+        getButtons: () => my.buttons.concat(my.speakNowButtons),
+        getNButtons: () => my.buttons.length + my.speakNowButtons.length,
         setMenus: (menus) => my.menus = menus,
         getMenus: () => my.menus,
         getInfo: function() {
             return { menuName: my.menuName,
                      hide: my.hide,
-                     scanType: my.scanType };
+                     scanType: my.scanType,
+                     scanStrategy: my.getScanStrategy() };
+        },
+        getGroups: function() {
+            // Divide the buttons into groups for the scanner, according to the
+            // menu's scanning strategy. Each group holds its buttons, and its
+            // announcement (null if the group has none of its own). Speak now
+            // buttons make up a last group of their own. Returns null if the
+            // buttons are to be scanned one at a time.
+            const rowOf = (ix) => my.buttonElems[ix].closest("tr");
+            const getAnnouncement = (row) => (row.dataset.announcement !== undefined ?
+                                              JSON.parse(row.dataset.announcement) :
+                                              null);
+            let groups;
+            let strategy = my.getScanStrategy();
+            if (strategy === "group") {
+                groups = _.range(0, my.buttons.length, my.groupSize).map(
+                    (start) => ({ buttons: my.buttons.slice(start, start + my.groupSize),
+                                  announcement: null }));
+            } else if (strategy === "rowColumn") {
+                let rows = Array.from(new Set(my.buttons.map((button, ix) => rowOf(ix))));
+                groups = rows.map((row) => ({ buttons: my.buttons.filter((button, ix) => rowOf(ix) === row),
+                                              announcement: getAnnouncement(row) }));
+            } else {
+                return null;
+            }
+            if (my.speakNowButtons.length !== 0) {
+                groups.push({ buttons: my.speakNowButtons, announcement: null });
+            }
+            return groups;
         }
     };
     Object.assign(that, thatAssignments);
@@ -185,34 +314,91 @@ function makeGenericMenu(menuSpec, my) {
     return that;
 }
 // Register menu constructors by building on the "makeGenericMenu" constructor.
-registerConstructor("composeMain", makeGenericMenu, { hide: "commboard",
+function makeComposeMenu(spec, my) {
+    // Factory function for the main menu, whose buttons select the rows of the
+    // commboard. Layouts may use fewer letter rows than the commboard has
+    // (see makeLayoutSettings); the selectors of unused rows are emptied so
+    // that they aren't scanned, and the other selectors are numbered in order.
+
+    my = my || {};
+    let that = makeGenericMenu(spec, my);
+
+    // Private methods.
+    function numberButtons() {
+        let nRows = my.settings.getLayout().getNRows();
+        let number = 0;
+        function each(button, ix) {
+            let target = my.buttonElems[ix].dataset.target;
+            let row = target.startsWith("letter") ? parseInt(target.slice("letter".length)) : 0;
+            if (row > nRows) {
+                button.setButtonValue("");
+            } else {
+                number += 1;
+                button.setButtonValue(number.toString());
+            }
+        }
+        my.buttons.forEach(each);
+    }
+
+    // Initialize and return.
+    numberButtons();
+    my.settings.getLayout().addChangeListener(numberButtons);
+    return that;
+}
+registerConstructor("composeMain", makeComposeMenu, { hide: "commboard",
                                                       scanType: "repeat" });
 registerConstructor("extras", makeGenericMenu, { hide: "commboard",
                                                  scanType: "finish" });
 ["punctuation", "buffer"].forEach(
     (name) => registerConstructor(name, makeGenericMenu, { hide: "dropdown",
                                                            scanType: "finish" }));
+registerConstructor("cursor", makeGenericMenu, { hide: "dropdown", // Repeats, so the cursor can be moved several times.
+                                                 scanType: "repeat" });
 
 function makeLetterMenu(spec, my) {
     // Factory function for menu objects containing letter buttons.
     // These menus must be able to update themselves when the user selects a new
     // layout from the relevant dropdown menu. They do that by listening for an
     // event from the layout object.
+    // With the predictive layout, the letters also change as the user writes:
+    // the menus listen for changes to the buffer (and the language), and ask
+    // the word predictor to rank the letters that may come next.
+    // A layout may not use every row and column of the commboard. The menu
+    // hides its row if the layout doesn't use it, and hides the buttons in
+    // columns the layout doesn't use.
 
     my = my || {};
     let that = makeGenericMenu(spec, my);
 
     // Private methods.
     let myMethods1 = {
-        getRow: () => parseInt(my.menuName.slice(-1))
+        getRow: () => parseInt(my.menuName.slice(-1)),
+        getScanStrategy: () => my.settings.getScanSettings().getLetterStrategy()
     };
     Object.assign(my, myMethods1);
     let myMethods2 = {
         setButtons: function() {
-            const each = ([button, letter]) => button.setText(letter);
             let row = my.getRow();
-            let letters = my.settings.getLayout().getLetters(row);
-            _.zip(my.buttons, letters).forEach(each);
+            let layout = my.settings.getLayout();
+            let nCols = layout.getNCols();
+            function each([button, key], ix) {
+                button.setText(key.text);
+                button.setAnnouncement(key.announcement);
+                my.buttonElems[ix].parentNode.hidden = ix >= nCols;
+            }
+            let ranking = (layout.isPredictive() ?
+                           my.predictor.predictLetters(my.buffer.getTextBeforeCursor()) :
+                           null);
+            let keys = layout.getKeys(row, ranking);
+            _.zip(my.buttons, keys).forEach(each);
+            my.buttonElems[0].closest("tr").hidden = row > layout.getNRows();
+        },
+        update: function() {
+            // Invoked when the buffer or the language changes. Only the
+            // predictive layout depends on them.
+            if (my.settings.getLayout().isPredictive()) {
+                my.setButtons();
+            }
         }
     };
     Object.assign(my, myMethods2);
@@ -220,9 +406,11 @@ function makeLetterMenu(spec, my) {
     // Initialize and return.
     my.setButtons();
     my.settings.getLayout().addChangeListener(my.setButtons);
+    my.settings.getLanguageSettings().addChangeListener(my.update);
+    my.buffer.addChangeListener(my.update);
     return that;
 }
-["letter1", "letter2", "letter3", "letter4"].forEach(
+["letter1", "letter2", "letter3", "letter4", "letter5", "letter6"].forEach(
     (name) => registerConstructor(name, makeLetterMenu, { hide: "commboard",
                                                           scanType: "finish" }));
 
@@ -230,8 +418,9 @@ function makeLetterMenu(spec, my) {
 function makeGuessMenu(spec, my) {
     // Factory function for menus that offer word guesses to the user.
     // In addition to the normal menu functionality, this menu listens for a
-    // change to the buffer. Each time such a change occurs, it submits a word
-    // completion request to the Wordnik API. It then sets the values of its
+    // change to the buffer. Each time such a change occurs, it asks the word
+    // predictor for completions of the word being written (or, if a word has
+    // just been finished, for the next word). It then sets the values of its
     // buttons to the suggested words.
 
     my = my || {};
@@ -239,108 +428,122 @@ function makeGuessMenu(spec, my) {
 
     // internal constants
     const N_GUESSES = 8;        // Number of guesses to be offered to user
-    const MIN_COUNT = 1000;     // Min number of ocurrences in wordnik corpus
-    const BASE_URL = "http:api.wordnik.com:80/v4/words.json/search/";
-    const API_KEY = "a8a677e1378da5d7a03532c7b57083a570bdd1254c16f6af3"; // This could be set by user instead.
 
     // Internal procedures.
-    function wordnik(text, success, failure) {
-        // Given an incomplete word "text", query the wordnik API for possible
-        // completions. Invoke one of the two passed-in callbacks depending on
-        // the success of the API call.
-        let queryURL = BASE_URL + text;
-        jQuery.ajax({
-            url: queryURL,
-            data: { minCorpusCount: MIN_COUNT,
-                    api_key: API_KEY,
-                    caseSensitive: false,
-                    limit: N_GUESSES },
-            type: "GET",
-            dataType: "json",
-            success: success,
-            error: failure
-        });
-    }
-
-    function guessWord(inputText, cb) {
-        // Wraps the API call and extracts the results.
-        let language = my.settings.getLanguageSettings().getLanguage();
-        let success = function(data, status) {
-            let guesses = (data.searchResults.slice(1).
-                           map((o) => o.word));
-            let padded = util.pad(guesses, "", N_GUESSES); // Pad with proper number of guesses
-            cb(padded);
-        };
-        let failure = function(data, status) {
-            console.log("Wordnik API call failed.");
-        };
-
-        let text = inputText.split(" ").slice(-1)[0];
-        if (text === "" || language !== "en") {          // If no text or if we're not in English, no guesses.
-            cb(util.repeat("", N_GUESSES));
-        } else {
-            // Add a wildcard so guesses will be retrieved even if "text" is a completed word.
-            wordnik(text + "*", success, failure);
-        }
+    function guessWord(inputText) {
+        // Retrieve guesses from the predictor, padded to fill every button.
+        let guesses = my.predictor.predict(inputText, N_GUESSES);
+        return util.pad(guesses, "", N_GUESSES);
     }
 
     function update() {
-        // Invoked when the buffer changes. Retrieves guesses and updates buttons appropriately.
-        let callback = function(guesses) {
-            _.zip(my.buttons, guesses).forEach(function([button, guess])
-                                               { button.setButtonValue(guess); });
-        };
-        let inputText = my.buffer.getText();
-        guessWord(inputText, callback);
+        // Invoked when the buffer or the language changes. Retrieves guesses
+        // and updates buttons appropriately.
+        let guesses = guessWord(my.buffer.getTextBeforeCursor());
+        _.zip(my.buttons, guesses).forEach(function([button, guess])
+                                           { button.setButtonValue(guess); });
     }
 
-    function clear() {
-        // Clear all guesses. For use when the language changes from English to something else.
-        my.buttons.forEach((button) => button.setButtonValue(""));
-    }
-
-    let myAssignments = { wordnik, guessWord, update };
+    let myAssignments = { guessWord, update };
     my = Object.assign(my, myAssignments);
 
     // Initialization
-    my.settings.getLanguageSettings().addChangeListener(clear);
+    my.settings.getLanguageSettings().addChangeListener(my.update);
     my.buffer.addChangeListener(my.update);
     return that;
 }
+function makePhraseMenu(spec, my) {
+    // Factory function for the phrase bank menu. Each row of the menu holds
+    // the phrases of one category (its data-category attribute), as saved by
+    // the caregiver in the phrase settings. The menu fills its buttons with
+    // the phrases of the current language, and again whenever the phrases or
+    // the language change. Rows are scanned first, then the phrases in the
+    // chosen row.
+
+    my = my || {};
+    let that = makeGenericMenu(spec, my);
+
+    // Internal procedures.
+    function update() {
+        let phraseSettings = my.settings.getPhraseSettings();
+        function each(button, ix) {
+            let cell = my.buttonElems[ix].parentNode;
+            let category = cell.parentNode.dataset.category;
+            let column = cell.cellIndex - 1; // The first cell of a row holds the category's name.
+            button.setButtonValue(util.lookup(phraseSettings.getPhrases(category), column, ""));
+        }
+        my.buttons.forEach(each);
+    }
+
+    // Initialize and return.
+    update();
+    my.settings.getPhraseSettings().addChangeListener(update);
+    my.settings.getLanguageSettings().addChangeListener(update);
+    return that;
+}
+registerConstructor("phrases", makePhraseMenu, { hide: "dropdown",
+                                                 scanType: "finish",
+                                                 scanStrategy: "rowColumn" });
+
+function makeHistoryMenu(spec, my) {
+    // Factory function for the history menu, which offers the user's latest
+    // messages (see message-history.js). The menu has two rows holding the same
+    // messages, latest first: selecting a message in the first row speaks it
+    // again, and in the second row loads it back into the buffer. The menu
+    // updates its buttons whenever the history changes.
+
+    my = my || {};
+    let that = makeGenericMenu(spec, my);
+
+    // Internal procedures.
+    function update() {
+        let nColumns = my.buttons.length / 2; // Both rows have the same number of buttons.
+        let messages = my.history.getMessages(nColumns);
+        const each = (button, ix) => button.setButtonValue(util.lookup(messages, ix % nColumns, ""));
+        my.buttons.forEach(each);
+    }
+
+    // Initialize and return.
+    update();
+    my.history.addChangeListener(update);
+    return that;
+}
+registerConstructor("history", makeHistoryMenu, { hide: "dropdown",
+                                                  scanType: "finish",
+                                                  scanStrategy: "rowColumn" });
+
 registerConstructor("guess", makeGuessMenu, { hide: "commboard", // register the guess menu constructor.
                                               scanType: "finish" });
 
 function makeEmailMenu(spec, my) {
     // Factory function for menus offering email functionality. In addition to
-    // normal menu functionality, these menus can accept new email recipients
-    // from the DOM and assign buttons to these recpients.
+    // normal menu functionality, these menus assign their buttons to the email
+    // recipients held by the email settings, and update the buttons when a new
+    // recipient is added.
 
     my = my || {};
     let that = makeGenericMenu(spec, my);
 
-    // Constants
-    const N_RECIPIENTS = 8;     // The number of recipients that can be stored.
-
     // Private additions
     let myData = {              // Private data
-        getEmailSettings: () => my.settings.getEmailSettings(),
-        buttonIx: 0            // Index of current open button.
+        getEmailSettings: () => my.settings.getEmailSettings()
     };
     Object.assign(my, myData);
     let myMethods = {  // Private methods, depending on the new data.
-        addRecipient: function() { // Get recipient from text entry field and set the next open button accordingly.
-            let button = my.buttons[my.buttonIx];
-            let settings = my.getEmailSettings();
-            button.setRecipient(settings.getRecipientName(),
-                                settings.getRecipientAddress());
-            settings.clearRecipientInfo();
-            my.buttonIx = (my.buttonIx + 1) % N_RECIPIENTS;
+        setButtons: function() { // Assign each recipient to a button. Buttons without a recipient are emptied.
+            let recipients = my.getEmailSettings().getRecipients();
+            function each(button, ix) {
+                let recipient = recipients[ix] || { name: "", address: null };
+                button.setRecipient(recipient.name, recipient.address);
+            }
+            my.buttons.forEach(each);
         }
     };
     Object.assign(my, myMethods);
 
     // Initialization.
-    my.getEmailSettings().addRecipientListener(my.addRecipient);
+    my.setButtons();
+    my.getEmailSettings().addRecipientListener(my.setButtons);
     return that;
 }
 registerConstructor("email", makeEmailMenu, { hide: "dropdown", // register the email menu constructor.
@@ -0,0 +1,87 @@
+"use strict";
+
+// npm imports
+const EventEmitter = require("events");
+
+// File imports
+const storage = require("./storage.js");
+
+// ************************************************************************** //
+
+// This module exposes the procedure "messageHistory", the constructor for the
+// message history. The history keeps every message the user has finished with: each
+// buffer that was read aloud, emailed, or cleared. Users often repeat the same
+// messages, and caregivers sometimes miss what was said, so the history menu
+// (see menus.js) lets the user speak a past message again, or load it back into
+// the buffer.
+//
+// Each entry holds the text, the time it was saved (in ms since the epoch, as
+// returned by Date.now), and what happened to it ("read", "email" or
+// "clear"). A message read aloud and then cleared would be saved twice, so an
+// entry repeating the latest one just updates it. The history is saved in the
+// directory of the current user profile, and the caregiver can export it from
+// the settings.
+
+// ************************************************************************** //
+
+module.exports = messageHistory;
+
+function messageHistory(spec) {
+    // Constructor for the message history. The spec must contain the settings
+    // object and the buffer, whose messages the history listens for. The
+    // returned object exposes the saved messages, and a method to save a
+    // message sent some other way (by email, for instance).
+
+    // Constants
+    const FILE_NAME = "history.json"; // Where the history is kept, in the profile directory.
+    const MAX_ENTRIES = 500;          // Forget the oldest messages beyond this many.
+
+    // Private variables
+    let settings = spec.settings;
+    let entries;                // Saved messages, oldest first.
+    let emitter = new EventEmitter();
+
+    // Private methods
+    const save = () => storage.writeJSON(storage.profilePath(FILE_NAME), entries);
+
+    function load() {
+        // Load the history of the current profile.
+        entries = storage.readJSON(storage.profilePath(FILE_NAME), []);
+        emitter.emit("change");
+    }
+
+    function add(text, event) {
+        // Save a message, unless it's empty.
+        if (text.trim() === "") {
+            return;
+        }
+        let entry = { text, timestamp: Date.now(), event };
+        let latest = entries[entries.length - 1];
+        if (latest !== undefined && latest.text === text) {
+            entries[entries.length - 1] = entry;
+        } else {
+            entries.push(entry);
+        }
+        if (entries.length > MAX_ENTRIES) {
+            entries.shift();
+        }
+        save();
+        emitter.emit("change");
+    }
+
+    // The returned object.
+    let that = {
+        add,
+        getMessages: (n) => entries.slice(-n).reverse().map((entry) => entry.text), // Latest first.
+        exportHistory: () => storage.exportJSON(entries, "history.json"),
+        addChangeListener: (listener) => emitter.addListener("change", listener)
+    };
+
+    // Load, register listeners and return.
+    load();
+    settings.getProfiles().addChangeListener(load);
+    settings.getHistorySettings().addExportListener(that.exportHistory);
+    spec.buffer.addMessageListener((text) => add(text, "read"));
+    spec.buffer.addClearListener((text) => add(text, "clear"));
+    return that;
+}
@@ -0,0 +1,111 @@
+"use strict";
+
+// File imports
+const util = require("./util.js");
+
+// ************************************************************************** //
+
+// This module exposes the procedure "ngram", the constructor for an n-gram
+// language model. The model predicts the next word from the one or two words
+// preceding it, based on the sentences it has been trained on.
+//
+// The model's data is a table of contexts. A context is either a single word
+// (for bigrams) or two words separated by a space (for trigrams). Each context
+// maps to a table counting the words that were seen following it. The special
+// word START marks the beginning of a sentence, so that the model can also
+// suggest the first word of a sentence. The table is a plain object, so it can
+// be saved as JSON by the caller and passed back in to restore the model.
+//
+// Words are scored with "stupid backoff": if a word was seen after the two
+// preceding words, it scores its relative frequency in that context. Otherwise,
+// if it was seen after the preceding word, it scores its relative frequency
+// there, discounted by BACKOFF. Otherwise it falls back on a context-free score
+// supplied by the caller, discounted twice.
+
+// ************************************************************************** //
+
+module.exports = ngram;
+
+const START = "<s>";            // Marks the start of a sentence.
+const BACKOFF = 0.4;            // Discount applied for each step back to a shorter context.
+
+function ngram(table) {
+    // Constructor for an n-gram model, built on the (possibly empty) table of
+    // context counts passed in. The table is updated in place as the model
+    // is trained.
+
+    // Private methods
+    const countsAfter = (context) => util.lookup(table, context, {});
+
+    const total = (counts) => Object.keys(counts).reduce((sum, word) => sum + counts[word], 0);
+
+    function count(context, word) {
+        // Record one occurrence of word following context.
+        if (!Object.prototype.hasOwnProperty.call(table, context)) {
+            table[context] = {};
+        }
+        let counts = table[context];
+        counts[word] = util.lookup(counts, word, 0) + 1;
+    }
+
+    function trainSentence(words) {
+        // Count every bigram and trigram of a sentence.
+        let tokens = [START].concat(words);
+        for (let i = 1; i < tokens.length; i += 1) {
+            count(tokens[i - 1], tokens[i]);
+            if (i >= 2) {
+                count(`${tokens[i - 2]} ${tokens[i - 1]}`, tokens[i]);
+            }
+        }
+    }
+
+    function getContext(text) {
+        // Find the two words preceding the word being written at the end of
+        // text. A partially written word is not part of the context, and
+        // neither is anything before the start of the current sentence.
+        let finished = text.slice(0, text.lastIndexOf(" ") + 1);
+        let sentences = finished.split(/[.!?]/);
+        let words = util.splitSentences(sentences[sentences.length - 1])[0] || [];
+        let tokens = [START, START].concat(words);
+        return tokens.slice(-2);
+    }
+
+    // The returned object.
+    let that = {
+        train: function(text) {
+            // Learn from all sentences in text.
+            util.splitSentences(text).forEach(trainSentence);
+        },
+        getFollowers: function(text) {
+            // Return the words that have been seen following the context at
+            // the end of text.
+            let [w1, w2] = getContext(text);
+            let trigramCounts = countsAfter(`${w1} ${w2}`);
+            let bigramCounts = countsAfter(w2);
+            return Object.keys(Object.assign({}, bigramCounts, trigramCounts));
+        },
+        makeScorer: function(text) {
+            // Return a procedure that scores candidates for the word at the end
+            // of text. It takes a candidate word, and the context-free score
+            // to fall back on if the word was never seen in this context.
+            let [w1, w2] = getContext(text);
+            let trigramCounts = countsAfter(`${w1} ${w2}`);
+            let bigramCounts = countsAfter(w2);
+            let trigramTotal = total(trigramCounts);
+            let bigramTotal = total(bigramCounts);
+            return function(word, fallbackScore) {
+                let trigramCount = util.lookup(trigramCounts, word, 0);
+                let bigramCount = util.lookup(bigramCounts, word, 0);
+                if (trigramCount > 0) {
+                    return trigramCount / trigramTotal;
+                } else if (bigramCount > 0) {
+                    return BACKOFF * bigramCount / bigramTotal;
+                } else {
+                    return BACKOFF * BACKOFF * fallbackScore;
+                }
+            };
+        }
+    };
+
+    return that;
+}
@@ -0,0 +1,280 @@
+"use strict";
+
+// npm imports
+const fs = require("fs");
+const path = require("path");
+
+// File imports
+const storage = require("./storage.js");
+const ngram = require("./ngram.js");
+const util = require("./util.js");
+
+// ************************************************************************** //
+
+// This module exposes the procedure "predictor", the constructor for the word
+// predictor. The predictor offers completions for partially written words
+// without needing a network connection.
+//
+// For each language offered in the language settings, the predictor reads a
+// word list from the "words" directory (for instance, "words/en.txt" for
+// English). A word list is a plain text file with one word per line, ordered
+// from most to least frequent. Lines beginning with "#" are comments.
+//
+// From each word list the predictor builds a lexicon, which pairs the ranked
+// list of words with a prefix index. The prefix index maps every prefix of
+// every word to the words beginning with that prefix, in order of
+// frequency. Prefixes are indexed with accents removed, so that "tres" finds
+// "très" on a commboard without accented letters. Lexicons are built the first
+// time a language is needed, and cached afterwards.
+//
+// The predictor also learns from the user. It counts every word the user
+// finishes writing in the buffer, separately for each language, and saves the
+// counts in the directory of the current user profile. When ranking guesses,
+// the frequency of a word in the word list is blended with its frequency in
+// the user's own writing. The more the user has written, the more weight their
+// own writing receives. Words the user writes that aren't in the word list
+// (names, for instance) are offered as guesses as well.
+//
+// Finally, the predictor uses an n-gram model (see ngram.js) to take the
+// preceding words into account. The model is trained on the messages the user
+// has had read aloud, and the caregiver can train it further on text files of
+// the user's past messages. Thanks to the model, the predictor can guess the
+// next word even before its first letter has been written.
+//
+// The same scores are used to guess the next letter, for the predictive
+// commboard layout (see menus.js). Each letter is scored by the candidate
+// words it would continue.
+
+// ************************************************************************** //
+
+module.exports = predictor;
+
+function predictor(spec) {
+    // Constructor for the word predictor. The spec must contain the settings
+    // object, from which the predictor finds out the current language, and the
+    // buffer, from which it learns the words and messages the user writes.
+    // The returned object exposes methods to predict words and to manage the
+    // learned word counts.
+
+    // Constants
+    const WORDS_DIR = path.join(__dirname, "words"); // Location of the word lists.
+    const COMMENT = "#";                              // Word list lines starting with this are ignored.
+    const COUNTS_FILE = "vocabulary.json"; // Where the learned word counts are kept, in the profile directory.
+    const NGRAMS_FILE = "ngrams.json";     // Where the n-gram counts are kept.
+    const PRIOR_WEIGHT = 200;   // The word list counts as much as this many words written by the user.
+    const ALPHABET = "abcdefghijklmnopqrstuvwxyz".split(""); // The letters on the commboard.
+
+    // Private variables
+    let settings = spec.settings;
+    let lexicons = {};          // Cache of lexicons, keyed by language.
+    let counts;                 // Learned counts, keyed by language, then by word.
+    let ngrams;                 // N-gram tables, keyed by language.
+    let lastLetters = {};       // The letters last guessed, and the text they were guessed for.
+
+    // Private methods
+    const getLanguage = () => settings.getLanguageSettings().getLanguage();
+
+    const fold = (text) => text.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+    function readWordList(language) {
+        // Read the word list for a language. If there's no list for the
+        // language, return an empty list so that no guesses are offered.
+        let fileName = path.join(WORDS_DIR, `${language}.txt`);
+        let contents;
+        try {
+            contents = fs.readFileSync(fileName, "utf8");
+        } catch (e) {
+            if (e.code === "ENOENT") {
+                return [];
+            }
+            throw e;
+        }
+        const isWord = (line) => line !== "" && !line.startsWith(COMMENT);
+        return contents.split("\n").map((line) => line.trim().toLowerCase()).filter(isWord);
+    }
+
+    function makeLexicon(words) {
+        // Build the prefix index for a ranked list of words. Since the words
+        // are visited in order of frequency, each entry of the index is
+        // ordered by frequency as well.
+        // The lexicon also stores the relative frequency of each word. The
+        // lists only give ranks, so frequencies are estimated with Zipf's law:
+        // the frequency of a word is inversely proportional to its rank.
+        let index = new Map();
+        let frequencies = new Map();
+        let norm = words.reduce((total, word, rank) => total + 1 / (rank + 1), 0);
+        function each(word, rank) {
+            let key = fold(word);
+            frequencies.set(word, 1 / (rank + 1) / norm);
+            for (let i = 1; i <= key.length; i += 1) {
+                let prefix = key.slice(0, i);
+                if (!index.has(prefix)) {
+                    index.set(prefix, []);
+                }
+                index.get(prefix).push(word);
+            }
+        }
+        words.forEach(each);
+        return { words, index, frequencies };
+    }
+
+    function getLexicon(language) {
+        // Retrieve the lexicon for a language, building it if necessary.
+        if (!(language in lexicons)) {
+            lexicons[language] = makeLexicon(readWordList(language));
+        }
+        return lexicons[language];
+    }
+
+    function getCounts(language) {
+        // Retrieve the learned word counts for a language.
+        if (!(language in counts)) {
+            counts[language] = {};
+        }
+        return counts[language];
+    }
+
+    function getModel(language) {
+        // Retrieve the n-gram model for a language.
+        if (!(language in ngrams)) {
+            ngrams[language] = {};
+        }
+        return ngram(ngrams[language]);
+    }
+
+    const saveCounts = () => storage.writeJSON(storage.profilePath(COUNTS_FILE), counts);
+
+    const saveNgrams = () => storage.writeJSON(storage.profilePath(NGRAMS_FILE), ngrams);
+
+    function load() {
+        // Load what has been learned about the user of the current profile.
+        counts = storage.readJSON(storage.profilePath(COUNTS_FILE), {});
+        ngrams = storage.readJSON(storage.profilePath(NGRAMS_FILE), {});
+        lastLetters = {};
+    }
+
+    const sum = (xs) => xs.reduce((total, x) => total + x, 0);
+
+    function learnWord(token) {
+        // Count a word written by the user.
+        let word = util.normalizeWord(token);
+        if (word !== "") {
+            let languageCounts = getCounts(getLanguage());
+            languageCounts[word] = util.lookup(languageCounts, word, 0) + 1;
+            lastLetters = {};
+            saveCounts();
+        }
+    }
+
+    function learnMessages(text) {
+        // Train the n-gram model on messages written by the user. Each line
+        // of text is taken to be a separate message.
+        let model = getModel(getLanguage());
+        text.split("\n").forEach(model.train);
+        lastLetters = {};
+        saveNgrams();
+    }
+
+    function trainFromFiles() {
+        // Train the n-gram model on text files of past messages chosen by the caregiver.
+        storage.importText().forEach(learnMessages);
+    }
+
+    function makeUnigramScorer(language) {
+        // Return a procedure that scores words regardless of context, by
+        // blending their frequency in the word list with their frequency in
+        // the user's writing.
+        let lexicon = getLexicon(language);
+        let userCounts = getCounts(language);
+        let userTotal = sum(Object.keys(userCounts).map((word) => userCounts[word]));
+        let userWeight = userTotal / (userTotal + PRIOR_WEIGHT);
+        return function(word) {
+            let listFrequency = lexicon.frequencies.get(word) || 0;
+            let userFrequency = userTotal === 0 ? 0 : util.lookup(userCounts, word, 0) / userTotal;
+            return (1 - userWeight) * listFrequency + userWeight * userFrequency;
+        };
+    }
+
+    const getKey = (text) => fold(text.split(" ").slice(-1)[0]);
+
+    function scoreCandidates(text) {
+        // Score the candidates for the word being written at the end of
+        // text. The candidates are the words with the right prefix from the
+        // word list, from the user's writing, and from the words the n-gram
+        // model has seen following the preceding words. If the text ends at the
+        // start of a word, every word has the right prefix. Returns a map from
+        // candidates to scores.
+        let language = getLanguage();
+        let lexicon = getLexicon(language);
+        let model = getModel(language);
+        let key = getKey(text);
+        const hasPrefix = (word) => fold(word).startsWith(key);
+        let listMatches = key === "" ? lexicon.words : (lexicon.index.get(key) || []);
+        let userMatches = Object.keys(getCounts(language)).filter(hasPrefix);
+        let modelMatches = model.getFollowers(text).filter(hasPrefix);
+        let candidates = Array.from(new Set(listMatches.concat(userMatches, modelMatches)));
+        let unigramScore = makeUnigramScorer(language);
+        let contextScore = model.makeScorer(text);
+        return new Map(candidates.map((word) => [word, contextScore(word, unigramScore(word))]));
+    }
+
+    function guessWord(text, n) {
+        // Return at most n guesses for the word being written at the end of
+        // text, best guess first.
+        let scores = scoreCandidates(text);
+        let candidates = Array.from(scores.keys());
+        candidates.sort((a, b) => scores.get(b) - scores.get(a));
+        return candidates.slice(0, n);
+    }
+
+    function guessLetters(text) {
+        // Return the letters of the alphabet, ordered by how likely each is to
+        // come next in the word being written at the end of text. A letter
+        // scores the total score of the candidates it would continue. Letters
+        // that continue no candidate keep alphabetical order, at the end.
+        // The letter menus all ask for the same text in turn, so the last
+        // result is kept.
+        if (lastLetters.text === text && lastLetters.language === getLanguage()) {
+            return lastLetters.letters;
+        }
+        let position = getKey(text).length;
+        let letterScores = new Map(ALPHABET.map((letter) => [letter, 0]));
+        function each(score, word) {
+            let letter = fold(word).charAt(position);
+            if (letterScores.has(letter)) {
+                letterScores.set(letter, letterScores.get(letter) + score);
+            }
+        }
+        scoreCandidates(text).forEach(each);
+        let letters = ALPHABET.slice().sort((a, b) => letterScores.get(b) - letterScores.get(a) ||
+                                            ALPHABET.indexOf(a) - ALPHABET.indexOf(b));
+        lastLetters = { text, language: getLanguage(), letters };
+        return letters;
+    }
+
+    // The returned object.
+    let that = {
+        predict: guessWord,
+        predictLetters: guessLetters,
+        exportLearnedCounts: () => storage.exportJSON(counts, "vocabulary.json"),
+        resetLearnedCounts: function() {
+            // Forget everything learned from the user, in all languages.
+            counts = {};
+            ngrams = {};
+            lastLetters = {};
+            saveCounts();
+            saveNgrams();
+        }
+    };
+
+    // Load, register listeners and return.
+    load();
+    settings.getProfiles().addChangeListener(load);
+    let vocabulary = settings.getVocabularySettings();
+    vocabulary.addExportListener(that.exportLearnedCounts);
+    vocabulary.addResetListener(that.resetLearnedCounts);
+    vocabulary.addTrainListener(trainFromFiles);
+    spec.buffer.addWordListener(learnWord);
+    spec.buffer.addMessageListener(learnMessages);
+    return that;
+}
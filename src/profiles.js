@@ -0,0 +1,188 @@
+"use strict";
+
+// npm imports
+const EventEmitter = require("events");
+const fs = require("fs");
+
+// File imports
+const storage = require("./storage.js");
+
+// ************************************************************************** //
+
+// This module exposes the procedure "profiles", the constructor for the profile
+// manager. A single wedjat installation may be shared by several users, each
+// with their own settings, gaze templates, email recipients, learned
+// vocabulary, and so on. Each user gets a profile. All data belonging to a
+// profile is kept in its own directory (see storage.js).
+//
+// The list of profiles is kept in "profiles.json" in the user data directory,
+// along with the id of the profile last used. Each profile has an id, which
+// names its directory and never changes, and a name chosen by the caregiver.
+//
+// The profile manager lets the caregiver create, rename, duplicate and delete
+// profiles, and switch between them without restarting. When the profile
+// changes, the manager emits an event; objects that hold profile data listen
+// for this event and reload their data from the new profile's directory. When
+// the program starts with more than one profile, the manager asks which
+// profile to use.
+
+// ************************************************************************** //
+
+module.exports = profiles;
+
+function profiles() {
+    // Constructor for the profile manager. The returned object exposes the
+    // current profile, and allows other objects to listen for profile changes.
+
+    // Constants
+    const FILE_NAME = storage.userPath("profiles.json");
+    const DEFAULT_PROFILE = { id: "default", name: "Default" };
+    const LEGACY_FILES = ["settings.json", "vocabulary.json", "ngrams.json"]; // Saved before profiles existed.
+
+    // Private variables
+    let data = storage.readJSON(FILE_NAME, null); // { profiles: [{ id, name }], current: id }
+    let emitter = new EventEmitter();
+    let profileElem = document.querySelector("select[name=profile]");
+    let nameField = document.querySelector("input[type=text][name=profileName]");
+    let newButton = document.querySelector("input[type=button][name=newProfile]");
+    let renameButton = document.querySelector("input[type=button][name=renameProfile]");
+    let duplicateButton = document.querySelector("input[type=button][name=duplicateProfile]");
+    let deleteButton = document.querySelector("input[type=button][name=deleteProfile]");
+    let pickerElem = document.getElementById("profilePicker");
+    let pickerSelect = pickerElem.querySelector("select[name=pickProfile]");
+    let openButton = pickerElem.querySelector("input[type=button][name=openProfile]");
+
+    // Private methods
+    const save = () => storage.writeJSON(FILE_NAME, data);
+    const getProfile = (id) => data.profiles.find((profile) => profile.id === id);
+    const getNewName = () => nameField.value.trim();
+
+    function init() {
+        // Create the default profile the first time the program runs. Data
+        // saved by a version of the program without profiles is moved into it.
+        data = { profiles: [DEFAULT_PROFILE], current: DEFAULT_PROFILE.id };
+        storage.setProfile(DEFAULT_PROFILE.id);
+        function each(fileName) {
+            let oldPath = storage.userPath(fileName);
+            if (fs.existsSync(oldPath)) {
+                storage.writeJSON(storage.profilePath(fileName), storage.readJSON(oldPath));
+                fs.unlinkSync(oldPath);
+            }
+        }
+        LEGACY_FILES.forEach(each);
+        save();
+    }
+
+    function makeId() {
+        // Create an id not used by any existing profile.
+        let id = Date.now().toString(36);
+        while (getProfile(id) !== undefined) {
+            id += "x";
+        }
+        return id;
+    }
+
+    function updateOptions() {
+        // Fill both profile dropdowns with the current list of profiles.
+        function fill(selectElem) {
+            selectElem.innerHTML = "";
+            function each(profile) {
+                let opt = document.createElement("option");
+                opt.value = profile.id;
+                opt.text = profile.name;
+                selectElem.add(opt);
+            }
+            data.profiles.forEach(each);
+            selectElem.value = data.current;
+        }
+        fill(profileElem);
+        fill(pickerSelect);
+    }
+
+    function switchTo(id) {
+        // Make profile id the current profile, and tell listeners to reload.
+        data.current = id;
+        save();
+        storage.setProfile(id);
+        updateOptions();
+        emitter.emit("profileChange");
+    }
+
+    function addProfile(name, copyFrom) {
+        // Add a new profile with the given name, and switch to it. If copyFrom
+        // is given, the new profile starts with a copy of that profile's data.
+        let profile = { id: makeId(), name };
+        if (copyFrom !== undefined) {
+            storage.copyDir(storage.userPath("profiles", copyFrom),
+                            storage.userPath("profiles", profile.id));
+        }
+        data.profiles.push(profile);
+        switchTo(profile.id);
+        nameField.value = "";
+    }
+
+    function createProfile() {
+        // Create an empty profile, named from the text field.
+        addProfile(getNewName() || `Profile ${data.profiles.length + 1}`);
+    }
+
+    function duplicateProfile() {
+        // Create a copy of the current profile, named from the text field.
+        let current = getProfile(data.current);
+        addProfile(getNewName() || `${current.name} (2)`, current.id);
+    }
+
+    function renameProfile() {
+        // Give the current profile the name in the text field.
+        let name = getNewName();
+        if (name !== "") {
+            getProfile(data.current).name = name;
+            save();
+            updateOptions();
+            nameField.value = "";
+        }
+    }
+
+    function deleteProfile() {
+        // Delete the current profile and switch to another one. The last
+        // profile can't be deleted.
+        let current = getProfile(data.current);
+        if (data.profiles.length === 1 ||
+            !window.confirm(`Delete the profile "${current.name}" and all its data?`)) {
+            return;
+        }
+        data.profiles = data.profiles.filter((profile) => profile !== current);
+        switchTo(data.profiles[0].id);
+        storage.removeDir(storage.userPath("profiles", current.id));
+    }
+
+    function pick() {
+        // Invoked when the user chooses a profile in the startup picker.
+        pickerElem.hidden = true;
+        if (pickerSelect.value !== data.current) {
+            switchTo(pickerSelect.value);
+        }
+    }
+
+    // The public object.
+    let that = {
+        getCurrent: () => getProfile(data.current),
+        addChangeListener: (listener) => emitter.addListener("profileChange", listener),
+        removeChangeListener: (listener) => emitter.removeListener("profileChange", listener)
+    };
+
+    // Initialize, register event handlers, and return.
+    if (data === null) {
+        init();
+    }
+    storage.setProfile(data.current);
+    updateOptions();
+    pickerElem.hidden = data.profiles.length < 2; // Only ask if there's a choice to make.
+    profileElem.addEventListener("change", () => switchTo(profileElem.value));
+    newButton.addEventListener("click", createProfile);
+    renameButton.addEventListener("click", renameProfile);
+    duplicateButton.addEventListener("click", duplicateProfile);
+    deleteButton.addEventListener("click", deleteProfile);
+    openButton.addEventListener("click", pick);
+    return that;
+}
@@ -10,6 +10,27 @@
 // The scanner object exposes only a single method, scan(). Within the scope of
 // the scanner's definition, a number of additional functions are defined which
 // help implement this method.
+//
+// The scanner has two modes, chosen in the scan settings. In automatic mode,
+// the scanner advances from button to button on a timer, and the user selects
+// the button under point with a gesture. In step mode there is no timer; the
+// user advances to the next button with one gesture and selects with another.
+// In both modes another gesture takes the user back out of the current menu.
+// Which gesture does what is also chosen in the scan settings.
+//
+// Each menu also has a scanning strategy (see menus.js). Most menus are scanned
+// one button at a time. Other menus are divided into groups of buttons, for
+// instance the rows of a grid. The scanner first scans the groups, highlighting
+// every button of a group at once; when the user selects a group, the scanner
+// scans the buttons inside it.
+//
+// Users tire over a session, so if the caregiver allows it (see the scan
+// settings), the scanner adapts the scan speed to how accurately the user is
+// selecting. It counts overshoots: selections that are corrected right away
+// with a delete, and gazes that begin just after the highlight has moved on,
+// which were most likely meant for the previous button. The speed adapter
+// (makeSpeedAdapter) slows the scan down when overshoots are frequent, and
+// speeds it up again when they're rare.
 
 // ************************************************************************** //
 
@@ -27,13 +48,28 @@ function scanner(mainMenu, detector, settings, speaker) {
     const LONG_GAZE_TIME = 2000;     // A long gaze must last for 2 s.
     const BEEP_DURATION = 250;       // Length of beep informing of long gaze detection.
     const BEEP_FREQ = 300;           // The pitch of said beep.
+    const GROUP_TO = { en: "to", fr: "à" }; // Joins the first and last buttons when announcing a group.
+    const LATE_GAZE_TIME = 300;      // A gaze beginning this soon after the highlight moved was meant for the previous button.
 
     // Local variables
     let startButton = document.querySelector("input[type=button][name=start]");
     let stopButton = document.querySelector("input[type=button][name=stop]");
+    let scanSettings = settings.getScanSettings();
+    let adapter = makeSpeedAdapter(settings);
 
     // Procedures
     const signalLongGaze = () => speaker.beep(BEEP_FREQ, BEEP_DURATION);
+    const isPrimary = (gesture) => gesture === "primary"; // Only the primary gesture starts a scan.
+
+    function getAction(gesture, elapsed) {
+        // Return the scanner action assigned to a gesture that lasted elapsed
+        // ms, or null if there's none (or the gesture was too short to count).
+        if (elapsed < SHORT_GAZE_TIME) {
+            return null;
+        }
+        let name = elapsed < LONG_GAZE_TIME ? gesture : `${gesture}Long`;
+        return scanSettings.getAction(name);
+    }
 
     function registerListeners(cbBegin, cbEnd, cbClick) {
         // During scanning, the scanner must listen for three different inputs
@@ -53,29 +89,85 @@ function scanner(mainMenu, detector, settings, speaker) {
         detector.removeEndListener(cbEnd);
     }
 
+    function makeGroup(group) {
+        // Create a group of buttons (see menu.getGroups), which the scanner
+        // treats as a single target: it has the methods of a button that the
+        // scanner uses. Unless it has an announcement of its own, the group is
+        // announced by its first and last buttons, e.g. "a to d".
+        let buttons = group.buttons;
+        function getText(button, language) {
+            let announcement = button.getAnnouncement();
+            return typeof announcement === "string" ? announcement : announcement[language];
+        }
+        function getAnnouncement() {
+            if (group.announcement !== null) {
+                return group.announcement;
+            }
+            let nonEmpty = buttons.filter((button) => !button.isEmpty());
+            let first = nonEmpty[0];
+            let last = nonEmpty[nonEmpty.length - 1];
+            if (first === last) {
+                return first.getAnnouncement();
+            }
+            let announcement = {};
+            Object.keys(GROUP_TO).forEach((language) => announcement[language] =
+                                          `${getText(first, language)} ${GROUP_TO[language]} ${getText(last, language)}`);
+            return announcement;
+        }
+        let that = {
+            isGroup: true,
+            getButtons: () => buttons,
+            isEmpty: () => buttons.every((button) => button.isEmpty()),
+            toggle: () => buttons.forEach((button) => button.toggle()),
+            getWaitMultiplier: () => Math.max(...buttons.map((button) => button.getWaitMultiplier())),
+            announce: function() {
+                if (settings.useSound()) {
+                    speaker.speakSync(getAnnouncement());
+                }
+            }
+        };
+        return that;
+    }
+
     function scanMenu(menu, cb) {
-        // Scan a menu. When scanning is finished, invoke the callback cb.
+        // Scan a menu. When scanning is finished, invoke the callback cb. If
+        // the menu is divided into groups, the scanner starts by scanning the
+        // groups; otherwise it scans the buttons.
+        let groups = menu.getGroups();
+        let targets = groups === null ? menu.getButtons() : groups.map(makeGroup);
+        scanTargets(menu, targets, cb, cb);
+    }
+
+    function scanTargets(menu, targets, cb, menuCb) {
+        // Scan the targets (buttons or groups of buttons) of a menu. When
+        // scanning is finished, invoke the callback cb. When a button is
+        // pressed, the menu is done with, so its callback menuCb is used
+        // instead; when scanning the buttons inside a group, cb just goes back
+        // to scanning the groups.
         // This is a complicated function, so an in-depth explanation is
         // provided.
         //
-        // When the scanner scans a menu, it announces the menu's buttons one at
+        // When the scanner scans a menu, it announces the menu's targets one at
         // a time and awaits input from the user. As described above, there are
         // 3 possible inputs.
         // 1. Beginning of a gaze (implemented by gazeBegin). The scanner notes
         // the button "under point" when the user begins the gesture, and notes
-        // the current time.
+        // the current time. This is noted separately for each gesture, since
+        // with two switches one may be pressed while the other is held.
         // 2. Ending a gaze (implemented by gazeEnd). The scanner checks how
-        // long the gaze lasted. If it didn't last long enough, ignore it. If it
-        // lasted long enough to qualify as a short gaze, then determine which
-        // button was under point when the gaze began and invoke that button's
-        // action. Finally, if it was long enough to qualify as a long gaze,
-        // terminate the scan of the current menu and invoke the callback passed
-        // in when this menu began scanning.
+        // long the gaze lasted. If it didn't last long enough, ignore it.
+        // Otherwise, the gesture and its length determine the action to take
+        // (see getAction). To select, determine which button was under point
+        // when the gaze began and invoke that button's action. To go back,
+        // terminate the scan of the current menu and invoke the callback
+        // passed in when this menu began scanning. To advance (in step mode),
+        // move on to the next button.
         // 3. Pressing the stop button (implemented by pressStop). When the
         // scanner terminates the scan and sets the program back to "idle".
         //
-        // If the user enters a short gaze, then the scanner "presses" a button
-        // by invoking pressButton. However, the scanner doesn't know how long
+        // If the user selects a group, the scanner scans the buttons inside it.
+        // If the user selects a button, then the scanner "presses" it by
+        // invoking pressButton. However, the scanner doesn't know how long
         // it will take the button to carry out its action (if the button reads
         // the entire buffer text, it could be a little while. Or, the button
         // could kick off scanning another menu entirely). Here's how this is
@@ -91,43 +183,75 @@ function scanner(mainMenu, detector, settings, speaker) {
         // invokes the step function to step over each button, announce its
         // contents, and await input. The step function sets the button "under
         // point" so that, if input is recieved, the scanner will know which
-        // button to press. If no input is received after a given time interval,
-        // the step function continues on to the next button.
+        // button to press. In automatic mode, if no input is received after a
+        // given time interval, the step function continues on to the next
+        // button. In step mode, it waits for the user to advance.
 
         // State variables
-        let currentButton, gazeButton, startTime, timeout, longGazeTimeout;
+        let currentButton, timeout, advance;
+        let movedTime = null;   // When the timer last moved the highlight.
+        let gazes = {};         // Gestures under way, keyed by gesture (see gazeBegin).
+        let stepMode = scanSettings.getMode() === "step";
 
         // Procedures
-        const nextButton = (ix) => (ix + 1) % menu.getNButtons();
-        const isLastButton = (buttonIx) => buttonIx === menu.getNButtons() - 1;
+        const nextButton = (ix) => (ix + 1) % targets.length;
+        const isLastButton = (buttonIx) => buttonIx === targets.length - 1;
         const nextLoop = (buttonIx, loopIx) =>
                   isLastButton(buttonIx) ? loopIx + 1 : loopIx;
-        const isLoopOver = (loopIx) => loopIx === N_LOOPS;
+        const isLoopOver = (loopIx) => !stepMode && loopIx === N_LOOPS; // In step mode, the user decides when to leave.
+        const hasButtons = () => targets.some((target) => !target.isEmpty());
         const getWaitTime = (button) =>
                   settings.getScanSpeed() * button.getWaitMultiplier();
         const register = () => registerListeners(gazeBegin, gazeEnd, pressStop);
-        const unregister = () => unregisterListeners(gazeBegin, gazeEnd, pressStop);
-        function gazeBegin() {
+        function forgetGazes() {
+            // Forget the gestures under way, so that no long gaze is signalled.
+            Object.keys(gazes).forEach((gesture) => clearTimeout(gazes[gesture].longGazeTimeout));
+            gazes = {};
+        }
+        function unregister() {
+            unregisterListeners(gazeBegin, gazeEnd, pressStop);
+            forgetGazes();
+        }
+        function gazeBegin(gesture) {
             // Callback to execute if the beginning of a gaze was
             // detected. Store the button that was under point as well as the
-            // time. Register a timeout to inform the user when they've stared
-            // long enough for a "long gaze".
-            gazeButton = currentButton;
-            startTime = new Date();
-            longGazeTimeout = setTimeout(signalLongGaze, LONG_GAZE_TIME);
+            // time, and whether the highlight had only just moved. Register a
+            // timeout to inform the user when they've stared long enough for a
+            // "long gaze".
+            if (gesture in gazes) {
+                clearTimeout(gazes[gesture].longGazeTimeout);
+            }
+            let startTime = new Date();
+            gazes[gesture] = { button: currentButton,
+                               startTime,
+                               late: movedTime !== null && startTime - movedTime < LATE_GAZE_TIME,
+                               longGazeTimeout: setTimeout(signalLongGaze, LONG_GAZE_TIME) };
         }
-        function gazeEnd() {
+        function gazeEnd(gesture) {
             // Callback to execute if the end of a gaze was detected. Depending
-            // on the length of the gaze, either do nothing, press the button,
-            // or invoke the callback passed in to scanMenu.
-            clearTimeout(longGazeTimeout);
-            let elapsed = new Date() - startTime;
-            if (elapsed >= SHORT_GAZE_TIME) {
+            // on the gesture and its length, either do nothing, press the
+            // button, advance, or invoke the callback passed in to scanMenu.
+            let gaze = gazes[gesture];
+            if (gaze === undefined) {
+                return;         // The end of a gesture whose beginning we didn't see.
+            }
+            clearTimeout(gaze.longGazeTimeout);
+            delete gazes[gesture];
+            let gazeButton = gaze.button;
+            let action = getAction(gesture, new Date() - gaze.startTime);
+            if (action === "advance") {
+                advance();
+            } else if (action !== null) {
                 clearTimeout(timeout);
                 if (currentButton !== gazeButton) {
                     currentButton.toggle();
                 }
-                if (elapsed < LONG_GAZE_TIME) {
+                if (action === "select") {
+                    adapter.noteSelection(gazeButton, gaze.late);
+                }
+                if (action === "select" && gazeButton.isGroup) {
+                    enterGroup(gazeButton);
+                } else if (action === "select") {
                     pressButton(gazeButton);
                 } else {
                     unregister();
@@ -145,12 +269,21 @@ function scanner(mainMenu, detector, settings, speaker) {
             speaker.speakSync({ en: "stopping.",
                                 fr: "arrêt" });
         }
+        function enterGroup(group) {
+            // Scan the buttons of a group. If the user leaves the group
+            // without pressing a button, go back to scanning the groups.
+            unregister();
+            if (currentButton === group) {
+                group.toggle();
+            }
+            scanTargets(menu, group.getButtons(), () => scanTargets(menu, targets, cb, menuCb), menuCb);
+        }
         function pressButton(button) {
             // Invoke the action of a given button. Create a callback to execute
             // when the button is finished doing its thing, and register this
             // callback.
             unregister();
-            if (currentButton === gazeButton) {
+            if (currentButton === button) {
                 button.toggle();
             }
             let bcb = makeButtonCallback(button);
@@ -162,7 +295,7 @@ function scanner(mainMenu, detector, settings, speaker) {
             // finished.
             // First, make a callback "bcb" that either scans the current menu
             // again (if this menu's scanning behavior is to repeat) or invokes
-            // the callback passed into scanMenu.
+            // the menu's callback.
             // If the button doesn't select a new menu, then bcb does what we
             // want and we return it.
             // If the button does select a new menu, then we create a callback
@@ -171,8 +304,8 @@ function scanner(mainMenu, detector, settings, speaker) {
             let buttonType = button.buttonType;
             let scanType = menu.getInfo().scanType;
             let bcb = (scanType === "repeat" ? // The callback to use if the button doesn't kick off a new menu.
-                       () => scanMenu(menu, cb) :
-                       cb);
+                       () => scanMenu(menu, menuCb) :
+                       menuCb);
             if (buttonType === "menuSelector") {
                 let afterTarget = function() { // The callback to be invoked after the target menu has finished.
                     if (button.selectsDropdownMenu()) {
@@ -186,14 +319,15 @@ function scanner(mainMenu, detector, settings, speaker) {
             }
         }
         function loop(buttonIx, loopIx) {
-            // Loop over the buttons awaiting input. If we've gone too long
-            // without any input, invoke the passed-in callback.
-            let button = menu.getButtons()[buttonIx];
-            if (isLoopOver(loopIx)) {
+            // Loop over the targets awaiting input, skipping empty ones. If
+            // we've gone too long without any input, invoke the passed-in
+            // callback.
+            let button = targets[buttonIx];
+            if (isLoopOver(loopIx) || !hasButtons()) {
                 unregister();
                 cb();
             } else if (button.isEmpty()) {
-                loop(0, loopIx + 1);
+                loop(nextButton(buttonIx), nextLoop(buttonIx, loopIx));
             } else {
                 step(button, buttonIx, loopIx);
             }
@@ -203,12 +337,16 @@ function scanner(mainMenu, detector, settings, speaker) {
             currentButton = button;
             button.toggle();
             button.announce();
-            let waitTime = getWaitTime(button);
-            let next = function() {
+            advance = function() {
                 button.toggle();
                 loop(nextButton(buttonIx), nextLoop(buttonIx, loopIx));
             };
-            timeout = setTimeout(next, waitTime);
+            if (!stepMode) {
+                timeout = setTimeout(function() {
+                    movedTime = new Date();
+                    advance();
+                }, getWaitTime(button));
+            }
         }
 
         // Kick off the function
@@ -223,13 +361,19 @@ function scanner(mainMenu, detector, settings, speaker) {
         let startTime, longGazeTimeout;
         const register = () => registerListeners(gazeBegin, gazeEnd, pressStop);
         const unregister = () => unregisterListeners(gazeBegin, gazeEnd, pressStop);
-        function gazeBegin() {
+        function gazeBegin(gesture) {
             // Beginning of gaze detected.
+            if (!isPrimary(gesture)) {
+                return;
+            }
             startTime = new Date();
             longGazeTimeout = setTimeout(signalLongGaze, LONG_GAZE_TIME); // Tell the user when they've gazed long enough
         }
-        function gazeEnd() {
+        function gazeEnd(gesture) {
             // End of gaze detected. If the gaze was long enough, start scanning.
+            if (!isPrimary(gesture)) {
+                return;
+            }
             clearTimeout(longGazeTimeout);
             let elapsed = new Date() - startTime;
             if (elapsed >= LONG_GAZE_TIME) {
@@ -262,3 +406,85 @@ function scanner(mainMenu, detector, settings, speaker) {
     let that = { scan };
     return that;
 }
+
+function makeSpeedAdapter(settings) {
+    // Constructor for the object that adapts the scan speed to the user's
+    // accuracy. The scanner informs it of every selection; the adapter keeps
+    // track of which ones were overshoots, and every few selections adjusts
+    // the factor by which the scan speed is multiplied. The settings keep the
+    // factor within the bounds set by the caregiver, and show the effective
+    // speed. The factor starts over with each session and each profile.
+
+    // Constants
+    const CORRECTION_TIME = 10000; // A delete selected within 10 s corrects the previous selection.
+    const N_SELECTIONS = 10;       // Adjust the speed every 10 selections.
+    const SLOW_RATE = 0.3;         // Slow down if at least this share of selections overshot...
+    const FAST_RATE = 0.1;         // ...and speed up if at most this share did.
+    const SLOW_STEP = 1.1;         // Factors by which the wait time is multiplied when adjusting.
+    const FAST_STEP = 0.95;
+
+    // Private variables
+    let scanSettings = settings.getScanSettings();
+    let factor, outcomes, lastSelection;
+
+    function reset() {
+        // Forget everything, and scan at the speed set on the slider.
+        factor = 1;
+        outcomes = [];           // For each selection since the last adjustment, whether it overshot.
+        lastSelection = null;    // Time of the last selection that may yet be corrected.
+        settings.setSpeedFactor(factor);
+    }
+
+    function adjust() {
+        // Adjust the factor according to the share of overshoots, keeping it
+        // within bounds so that it can't drift far beyond what's in use.
+        let rate = outcomes.filter((overshot) => overshot).length / outcomes.length;
+        let bounds = scanSettings.getSpeedBounds();
+        if (rate >= SLOW_RATE) {
+            factor = Math.min(factor * SLOW_STEP, bounds.max);
+        } else if (rate <= FAST_RATE) {
+            factor = Math.max(factor * FAST_STEP, bounds.min);
+        }
+        outcomes = [];
+        settings.setSpeedFactor(factor);
+    }
+
+    function record(overshot) {
+        // Record the outcome of a selection.
+        outcomes.push(overshot);
+        if (outcomes.length === N_SELECTIONS && scanSettings.isAdaptive()) {
+            adjust();
+        } else if (outcomes.length === N_SELECTIONS) {
+            outcomes = [];
+        }
+    }
+
+    // The returned object.
+    let that = {
+        noteSelection: function(target, late) {
+            // Note that the user selected a target (a button or a group),
+            // with a gaze that began just after the highlight moved if late
+            // is true. Selecting a group or a menu only leads to the actual
+            // selection, so it doesn't count. A deletion soon after a
+            // selection marks that selection as an overshoot.
+            let now = new Date();
+            if (late) {
+                record(true);
+            }
+            if (target.isGroup || target.getTargetMenu() !== null) {
+                return;
+            }
+            let corrects = (target.isDeletion() && lastSelection !== null &&
+                            now - lastSelection < CORRECTION_TIME);
+            if (lastSelection !== null) {
+                record(corrects);
+            }
+            lastSelection = corrects || late ? null : now;
+        }
+    };
+
+    // Initialize and return.
+    reset();
+    settings.getProfiles().addChangeListener(reset);
+    return that;
+}
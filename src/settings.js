@@ -4,16 +4,36 @@
 const jQuery = require("jquery");
 require("jquery-ui");
 const EventEmitter = require("events");
+const path = require("path");
 const util = require("./util");
 const _ = require("underscore");
 
+// File imports
+const storage = require("./storage.js");
+const profiles = require("./profiles.js");
+
 // This module exposes the procedure "settings", the constructor for the
 // settings object. The settings object exposes the settings passed in from the
 // user (e.g. the scan speed, whether or not sound is on, etc.) to the other
 // objects in the program (the menus, buttons, buffer, etc.) through an
 // assortment of "getter" functions. The top-level settings object encapsulates
 // an object to handle the scan speed (which is controlled by a jquery UI
-// slider), and an object that handles email settings.
+// slider), an object that handles email settings, an object holding the
+// tuning of the gaze detector, an object holding the caregiver's bank of quick
+// phrases, an object through which the caregiver manages the vocabulary
+// learned by the word predictor, and one through which the caregiver exports
+// the history of the user's messages.
+//
+// Settings are saved between sessions by the settings store, which keeps them
+// in a JSON file in the directory of the current user profile. Each setting is
+// restored from the store when the program starts, and written back to the
+// store as soon as it changes. Settings controlled elsewhere in the program
+// (the voice and the detector, for instance) are saved through the same store,
+// which is exposed by the getStore method.
+//
+// The settings object also holds the profile manager (see profiles.js). When
+// the caregiver switches profiles, the store reloads itself from the new
+// profile's directory and every setting is restored again.
 
 // Exports
 module.exports = settings;
@@ -26,29 +46,113 @@ function settings() {
     // Private variables
     let soundElem = document.querySelector("input[type=checkbox][value=sound]");
     let showElem = document.querySelector("input[type=checkbox][value=showMenu]");
-    let slider = makeSlider();
-    let emailSettings = makeEmailSettings();
-    let layout = makeLayoutSettings();
-    let language = makeLanguageSettings();
+    let fontSizeElem = document.querySelector("input[type=number][name=fontSize]");
+    let profileManager = profiles();
+    let store = makeStore(profileManager);
+    let scanning = makeScanSettings(store);
+    let slider = makeSlider(store, scanning);
+    let emailSettings = makeEmailSettings(store);
+    let layout = makeLayoutSettings(store);
+    let language = makeLanguageSettings(store);
+    let gaze = makeGazeSettings(store);
+    let phrases = makePhraseSettings(store, language);
+    let vocabulary = makeVocabularySettings();
+    let historySettings = makeHistorySettings();
 
     // The public object.
     let that = {
         useSound: () => soundElem.checked,
         getLanguageSettings: () => language,
         getScanSpeed: () => slider.getms(),
+        setSpeedFactor: (factor) => slider.setFactor(factor),
+        getScanSettings: () => scanning,
+        showErrors,
+        showMenu: () => showElem.checked,
         addShowMenuListener: (listener) =>
             showElem.addEventListener("change", listener),
         getEmailSettings: () => emailSettings,
-        getLayout: () => layout
+        getLayout: () => layout,
+        getGazeSettings: () => gaze,
+        getPhraseSettings: () => phrases,
+        getVocabularySettings: () => vocabulary,
+        getHistorySettings: () => historySettings,
+        getStore: () => store,
+        getProfiles: () => profileManager
     };
 
+    // Restore saved settings and return.
+    store.bind("sound", soundElem, "checked");
+    store.bind("showMenu", showElem, "checked");
+    store.bind("fontSize", fontSizeElem);
     return that;
 }
 
-function makeSlider() {
+function makeStore(profileManager) {
+    // Constructor for the settings store, which saves settings to a JSON file
+    // in the current profile's directory. Settings are saved under string keys.
+    // The bind method handles the common case of a setting controlled by a
+    // single DOM element. Other settings are read and written with get and set;
+    // objects holding such settings should register a load listener, to be
+    // invoked when the store is reloaded for a different profile.
+
+    // Private variables
+    const fileName = () => storage.profilePath("settings.json");
+    let values = storage.readJSON(fileName(), {});
+    let emitter = new EventEmitter();
+
+    function reload() {
+        // Read the settings of the newly selected profile.
+        values = storage.readJSON(fileName(), {});
+        emitter.emit("load");
+    }
+
+    // The public object.
+    let that = {
+        get: (key, defaultValue) => util.lookup(values, key, defaultValue),
+        set: function(key, value) {
+            // Save a setting, and write all settings to disk.
+            values[key] = value;
+            storage.writeJSON(fileName(), values);
+        },
+        bind: function(key, elem, property = "value") {
+            // Save the given property of elem (its value, by default) under
+            // key. If a value was saved previously, restore it. If the element
+            // won't take the saved value (e.g. a dropdown that no longer offers
+            // that option), it gets its original value instead. When the store
+            // is reloaded, the value is restored again and a change event
+            // fired, so that anything listening to elem updates as well.
+            let defaultValue = elem[property];
+            function restore() {
+                elem[property] = that.get(key, defaultValue);
+                if (elem[property] !== that.get(key, defaultValue)) {
+                    elem[property] = defaultValue;
+                }
+            }
+            function restoreAndNotify() {
+                restore();
+                elem.dispatchEvent(new window.Event("change"));
+            }
+            restore();
+            elem.addEventListener("change", () => that.set(key, elem[property]));
+            emitter.addListener("load", restoreAndNotify);
+        },
+        addLoadListener: (listener) => emitter.addListener("load", listener)
+    };
+
+    // Register listeners and return.
+    profileManager.addChangeListener(reload);
+    return that;
+}
+
+function makeSlider(store, scanning) {
     // Constructor for slider object. Relies on the jQuery UI toolkit to create
-    // the slider element. Exports a single getter, which returns the value
-    // of the sider.
+    // the slider element. Exports a getter, which returns the scan speed. The
+    // value of the slider is saved in the store when the user releases the
+    // slider.
+    // If adaptive speed is on (see makeScanSettings), the scanner may slow
+    // down or speed up the scan by a factor, kept within the bounds set by the
+    // caregiver. The getter then returns the effective speed, which is also
+    // shown next to the slider's value.
 
     // Constants
     const VMIN = 0;             // Min, max, and initial slider settings
@@ -57,7 +161,8 @@ function makeSlider() {
     const SCALE = 10;
 
     // Internal variables and methods.
-    let sliderValue = V0;
+    let sliderValue = store.get("scanSpeed", V0);
+    let factor = 1;             // Set by the scanner when adapting the speed.
     let containerElem = document.getElementById("sliderContainer");
     let sliderElem = document.getElementById("slider");
     let valueElem = document.getElementById("sliderValue");
@@ -65,27 +170,50 @@ function makeSlider() {
                                         max: VMAX * SCALE,
                                         value: sliderValue * SCALE,
                                         slide: updateValue,
-                                        change: updateValue });
+                                        change: saveValue });
+
+    function getFactor() {
+        // The factor by which the scan speed is currently adjusted.
+        let bounds = scanning.getSpeedBounds();
+        return (scanning.isAdaptive() ?
+                Math.min(Math.max(factor, bounds.min), bounds.max) :
+                1);
+    }
 
     function updateValue() {
         // Callback to be invoked when the user changes the slider value.
         let v = s.slider("value");
         sliderValue = parseFloat(v) / SCALE;
         let stringValue = sliderValue.toString();
-        valueElem.textContent = `${stringValue} s`;
+        let effectiveValue = (sliderValue * getFactor()).toFixed(2);
+        valueElem.textContent = (scanning.isAdaptive() ?
+                                 `${stringValue} s (${effectiveValue} s)` :
+                                 `${stringValue} s`);
+    }
+
+    function saveValue() {
+        // Callback to be invoked when the user has finished changing the slider value.
+        updateValue();
+        store.set("scanSpeed", sliderValue);
     }
 
     // The returned object.
     let that = {
-        getms: () => sliderValue * 1000
+        getms: () => sliderValue * getFactor() * 1000,
+        setFactor: function(newFactor) {
+            factor = newFactor;
+            updateValue();
+        }
     };
 
     // Initialize and return.
     updateValue();
+    scanning.addSpeedListener(updateValue);
+    store.addLoadListener(() => s.slider("value", store.get("scanSpeed", V0) * SCALE));
     return that;
 }
 
-function makeEmailSettings() {
+function makeEmailSettings(store) {
     // Email settings object. Stores user email information, and acts as the
     // interface through which new email contacts can be added. Returns an
     // object that exposes getters for the relevant information.
@@ -94,9 +222,18 @@ function makeEmailSettings() {
     // getPassword() method. As far as I know, that's just anyone with local
     // access to the user's computer. For pretty much all the use cases I can
     // imagine, I think this should be fine.
+    // The signature, address and recipients are saved in the settings
+    // store. The password is not: writing it to disk in plain text would make
+    // it readable by anyone with access to the user data directory, so it must
+    // be entered again each session.
+
+    // Constants
+    const N_RECIPIENTS = 8;     // The number of recipients that can be stored.
 
     // Internal data and methods.
     let signature, address, password;
+    let recipients;             // List of { name, address } objects.
+    let recipientIx;            // Index of the slot the next recipient will take.
     let signatureField = document.querySelector("input[type=text][name=signature]");
     let addressField = document.querySelector("input[type=text][name=address]");
     let passwordField = document.querySelector("input[type=password][name=password]");
@@ -106,13 +243,40 @@ function makeEmailSettings() {
     let addButton = document.querySelector("input[type=button][name=add]");
     let emitter = new EventEmitter();
 
-    const emitAddRecipient = () => emitter.emit("addRecipient");
-    function store() {
+    function load() {
+        // Load the email settings saved in the store. The password is
+        // forgotten, since it may belong to another profile's account.
+        ({ signature, address } = store.get("email", {}));
+        password = undefined;
+        recipients = store.get("recipients", []);
+        recipientIx = store.get("recipientIx", 0);
+        signatureField.value = signature || "";
+        addressField.value = address || "";
+    }
+    function reload() {
+        // Invoked when the store is reloaded for another profile.
+        load();
+        emitter.emit("addRecipient"); // The recipients have all changed.
+    }
+    function storeUserInfo() {
         // Store user email information.
         signature = signatureField.value;
         address = addressField.value;
         password = passwordField.value;
         passwordField.value = ""; // Remove the password text once it's been assigned.
+        store.set("email", { signature, address });
+    }
+    function addRecipient() {
+        // Add the recipient entered in the text fields. Once all slots are
+        // taken, new recipients replace the oldest ones.
+        recipients[recipientIx] = { name: recipientNameField.value,
+                                    address: recipientAddressField.value.split(" ") };
+        recipientIx = (recipientIx + 1) % N_RECIPIENTS;
+        recipientNameField.value = "";
+        recipientAddressField.value = "";
+        store.set("recipients", recipients);
+        store.set("recipientIx", recipientIx);
+        emitter.emit("addRecipient");
     }
 
     // The public object.
@@ -120,12 +284,7 @@ function makeEmailSettings() {
         getSignature: () => signature,
         getAddress: () => address,
         getPassword: () => password,
-        getRecipientName: () => recipientNameField.value,
-        getRecipientAddress: () => recipientAddressField.value.split(" "),
-        clearRecipientInfo: function() {
-            recipientNameField.value = "";
-            recipientAddressField.value = "";
-        },
+        getRecipients: () => recipients,
         addRecipientListener: (listener) =>
             emitter.addListener("addRecipient", listener),
         removeRecipientListener: (listener) =>
@@ -133,46 +292,104 @@ function makeEmailSettings() {
     };
 
     // Initialize and return.
-    addButton.addEventListener("click", emitAddRecipient);
-    storeButton.addEventListener("click", store);
+    load();
+    store.addLoadListener(reload);
+    addButton.addEventListener("click", addRecipient);
+    storeButton.addEventListener("click", storeUserInfo);
     return that;
 }
 
-function makeLayoutSettings() {
+function makeLayoutSettings(store) {
     // Constructor for an object which controls the commboard layout. This user
     // allows the user to select a layout from the corresponding dropdown menu,
     // and updates the arrangement of the commboard buttons accordingly.
-    // To make a new layout available to the user, simply add the layout to the
-    // "layouts" object below. A new layout should be represented as a list of
-    // lists, where the letters in the ith list will appear on the ith row of
-    // the commboard.
+    //
+    // Layouts are read from JSON files when the program starts: first the
+    // layouts shipped with the program, in the "layouts" directory, then the
+    // layouts made for the user, in the "layouts" directory of the user data
+    // directory. A layout made for the user replaces a shipped layout of the
+    // same name. A layout file looks like this:
+    //
+    //   { "name": "Syllables",
+    //     "rows": [["a", "e", {"text": "ch", "announcement": {"en": "c h", "fr": "c h"}}],
+    //              ["1", "2", "3"]] }
+    //
+    // The ith list of "rows" holds the keys on the ith row of the commboard. A
+    // key is either the text it writes, or an object giving the text and what
+    // to announce when scanning it (a string, or an object keyed by
+    // language). If the name is missing, the layout is named after its file.
+    // The commboard has room for MAX_ROWS rows of MAX_COLS keys; rows and
+    // columns that the layout doesn't use are hidden.
+    //
+    // Layout files that can't be read or don't hold a valid layout are left
+    // out, and the problems are shown next to the layout setting.
+    //
+    // There's also a predictive layout, which isn't fixed: the letters are
+    // ranked by the word predictor each time the buffer changes, and fill the
+    // commboard in order, so that the likeliest letters are scanned first.
 
     // Constants.
-    const NCOLS = 7;            // 7 columns (i.e. 7 letters) per row.
-    const EMPTY_LETTER = "";    // How to fill a button if there's no letter for it.
+    const MAX_ROWS = 6;         // The number of letter rows in the commboard.
+    const MAX_COLS = 10;        // The number of letter buttons per row.
+    const SHIPPED_DIR = path.join(__dirname, "layouts"); // The layouts shipped with the program.
+    const USER_DIR = "layouts"; // The user's layouts, in the user data directory.
+    const EMPTY_KEY = { text: "", announcement: undefined }; // How to fill a button if there's no key for it.
+    const PREDICTIVE = "Predictive";  // The name of the predictive layout.
+    const ROW_LENGTHS = [7, 7, 6, 6]; // How many ranked letters go on each row of the predictive layout.
 
     // Internal variables and methods.
     let layoutElem = document.querySelector("select[name=layout]");
-    const layouts = {
-        AGNT: [["a", "b", "c", "d", "e", "f"],
-               ["g", "h", "i", "j", "k", "l", "m"],
-               ["n", "o", "p", "q", "r", "s"],
-               ["t", "u", "v", "w", "x", "y", "z"]],
-        Fast: [["e", "t", "o", "s", "l", "w", "p"],
-               ["a", "i", "h", "c", "f", "b", "j"],
-               ["n", "r", "u", "g", "v", "x"],
-               ["d", "m", "y", "k", "q", "z"]]
-    };
+    let layouts = {};           // The layouts read from files, keyed by name.
+    let errors = [];            // Problems with the layout files, to show the caregiver.
+
+    function readLayout(fileName) {
+        // Read a layout from a file. If the file can't be read, or doesn't
+        // hold a valid layout, note the problem and return null, so that a
+        // mistake in a layout file doesn't keep the program from starting.
+        let layout;
+        try {
+            layout = storage.readJSON(fileName, null);
+        } catch (e) {
+            errors.push({ en: `Can't read layout ${fileName}: ${e.message}`,
+                          fr: `Impossible de lire la disposition ${fileName} : ${e.message}` });
+            return null;
+        }
+        const isKey = (key) => (typeof key === "string" ||
+                                (typeof key === "object" && key !== null && typeof key.text === "string"));
+        const isRow = (row) => Array.isArray(row) && row.length <= MAX_COLS && row.every(isKey);
+        const toKey = (key) => (typeof key === "string" ?
+                                { text: key, announcement: undefined } :
+                                { text: key.text, announcement: key.announcement });
+        if (layout === null || !Array.isArray(layout.rows) || layout.rows.length === 0 ||
+            layout.rows.length > MAX_ROWS || !layout.rows.every(isRow)) {
+            errors.push({ en: `Invalid layout ${fileName}`,
+                          fr: `Disposition invalide ${fileName}` });
+            return null;
+        }
+        return { name: layout.name || path.basename(fileName, ".json"),
+                 rows: layout.rows.map((row) => row.map(toKey)) };
+    }
     function initLayouts() {
-        // Invoked on object creation to make all layouts available in UI menu.
+        // Invoked on object creation to read the layouts and make them all
+        // available in UI menu.
+        function eachFile(fileName) {
+            let layout = readLayout(fileName);
+            if (layout !== null) {
+                layouts[layout.name] = layout;
+            }
+        }
+        storage.listFiles(SHIPPED_DIR, ".json").forEach(eachFile);
+        storage.listFiles(storage.userPath(USER_DIR), ".json").forEach(eachFile);
+        showErrors("layout", errors);
         function each(layoutName) {
             let opt = document.createElement("option");
             opt.value = layoutName;
             opt.text = layoutName;
             layoutElem.add(opt);
         }
-        Object.keys(layouts).forEach(each);
+        Object.keys(layouts).concat([PREDICTIVE]).forEach(each);
     }
+    const getRows = () => layouts[layoutElem.value].rows;
 
     // Returned object.
     let that = {
@@ -181,19 +398,38 @@ function makeLayoutSettings() {
             // when the uesr selects a new layout.
             layoutElem.addEventListener("change", listener);
         },
-        getLetters: function(row) {
-            // Get the letters for row i, given the current layout.
-            let layout = layouts[layoutElem.value];
-            return util.pad(layout[row-1], EMPTY_LETTER, NCOLS); // The rows names for the commboard are 1-indexed.
+        isPredictive: () => layoutElem.value === PREDICTIVE,
+        getNRows: () => that.isPredictive() ? ROW_LENGTHS.length : getRows().length,
+        getNCols: function() {
+            // The number of columns in use: the length of the longest row.
+            let lengths = that.isPredictive() ? ROW_LENGTHS : getRows().map((row) => row.length);
+            return Math.max(...lengths);
+        },
+        getKeys: function(row, ranking) {
+            // Get the keys for row i, given the current layout, as objects
+            // holding the text and the announcement (undefined if the text is
+            // announced). The predictive layout takes its letters from
+            // ranking, a list of letters from likeliest to least likely. Rows
+            // the layout doesn't use are empty.
+            let keys;
+            if (that.isPredictive()) {
+                let start = ROW_LENGTHS.slice(0, row - 1).reduce((total, n) => total + n, 0);
+                let letters = ranking.slice(start, start + util.lookup(ROW_LENGTHS, row - 1, 0));
+                keys = letters.map((letter) => ({ text: letter, announcement: undefined }));
+            } else {
+                keys = util.lookup(getRows(), row - 1, []); // The rows names for the commboard are 1-indexed.
+            }
+            return util.pad(keys, EMPTY_KEY, MAX_COLS);
         }
     };
 
     // Initialize and return.
     initLayouts();
+    store.bind("layout", layoutElem);
     return that;
 }
 
-function makeLanguageSettings() {
+function makeLanguageSettings(store) {
     // Constructor for an object which controls the language used by the
     // program.
     //
@@ -260,13 +496,372 @@ function makeLanguageSettings() {
     // The public interface.
     let that = {
         addChangeListener: (listener) => languageElem.addEventListener("change", listener),
-        getLanguage: () => languageElem.value
+        removeChangeListener: (listener) => languageElem.removeEventListener("change", listener),
+        getLanguage: () => languageElem.value,
+        getLanguages: () => [].map.call(languageElem.options, (option) => option.value)
     };
 
     // Register event handlers, initialize, and return.
     languageElem.addEventListener("change", update);
     languageElem.value = "en";
+    store.bind("language", languageElem);
     update();
 
     return that;
 }
+
+function makeScanSettings(store) {
+    // Constructor for an object holding the scanning mode, and the gestures
+    // assigned to each of the scanner's actions.
+    // In automatic mode, the scanner advances from button to button on a timer;
+    // the user selects a button or goes back. In step mode there is no timer:
+    // the user advances with one gesture and selects with another.
+    // A gesture is named after the detector's gesture ("primary" or
+    // "secondary", see detector.js), with "Long" appended for a long gesture.
+    // The object also holds whether the scanner may adapt the scan speed to
+    // the user's accuracy, and the bounds it must stay within, as percentages
+    // of the speed set on the slider, and whether the letter menus are scanned
+    // one letter at a time ("linear") or in groups ("group", see menus.js).
+    // A bound that doesn't parse takes its default, and each bound is kept to
+    // its own side of 100%, so that the minimum can't exceed the maximum.
+
+    // Constants
+    const DEFAULTS = { select: "primary",
+                       advance: "secondary",
+                       back: "primaryLong" };
+    const MIN_SPEED = { lo: 25, hi: 100, default: 75 };  // In percent, as in index.html.
+    const MAX_SPEED = { lo: 100, hi: 400, default: 200 };
+
+    // Private variables
+    let modeElem = document.querySelector("select[name=scanMode]");
+    let actionElems = { select: document.querySelector("select[name=selectGesture]"),
+                        advance: document.querySelector("select[name=advanceGesture]"),
+                        back: document.querySelector("select[name=backGesture]") };
+    let adaptiveElem = document.querySelector("input[type=checkbox][name=adaptiveSpeed]");
+    let minSpeedElem = document.querySelector("input[type=number][name=minSpeed]");
+    let maxSpeedElem = document.querySelector("input[type=number][name=maxSpeed]");
+    let speedElems = [adaptiveElem, minSpeedElem, maxSpeedElem];
+    let letterStrategyElem = document.querySelector("select[name=letterStrategy]");
+
+    // Private methods
+    function getBound(elem, range) {
+        // Read a speed bound, as a fraction.
+        let percent = parseFloat(elem.value);
+        if (!isFinite(percent)) {
+            percent = range.default;
+        }
+        return Math.min(Math.max(percent, range.lo), range.hi) / 100;
+    }
+
+    // The public interface.
+    let that = {
+        getMode: () => modeElem.value,
+        getAction: function(gesture) {
+            // Return the action assigned to a gesture, or null if there's none.
+            // Advancing is only up to the user in step mode. If a gesture has
+            // been assigned to several actions, the first one listed wins.
+            const isAssigned = (action) => actionElems[action].value === gesture;
+            let actions = that.getMode() === "step" ? ["select", "advance", "back"] : ["select", "back"];
+            let action = actions.find(isAssigned);
+            return action === undefined ? null : action;
+        },
+        isAdaptive: () => adaptiveElem.checked,
+        getSpeedBounds: () => ({ min: getBound(minSpeedElem, MIN_SPEED),
+                                 max: getBound(maxSpeedElem, MAX_SPEED) }),
+        addSpeedListener: (listener) =>
+            speedElems.forEach((elem) => elem.addEventListener("change", listener)),
+        getLetterStrategy: () => letterStrategyElem.value
+    };
+
+    // Restore saved settings and return.
+    store.bind("scanMode", modeElem);
+    function each(action) {
+        actionElems[action].value = DEFAULTS[action];
+        store.bind(`${action}Gesture`, actionElems[action]);
+    }
+    Object.keys(actionElems).forEach(each);
+    store.bind("adaptiveSpeed", adaptiveElem, "checked");
+    store.bind("minSpeed", minSpeedElem);
+    store.bind("maxSpeed", maxSpeedElem);
+    store.bind("letterStrategy", letterStrategyElem);
+    return that;
+}
+
+function makeGazeSettings(store) {
+    // Constructor for an object holding the settings that tune the gaze
+    // detector to the user. A noisy frame shouldn't be enough to make the
+    // detector change its mind about whether the user is gazing, so a change
+    // requires a frame that is closer to the new state than to the old one by
+    // a margin, and several such frames in a row. The margin is given as a
+    // percentage of the distance to the old state. These settings apply to the
+    // blink detector as well, which also needs to know how long the eyes must
+    // stay closed for a blink to count as deliberate.
+    // The object also holds the preprocessing steps that make the comparison
+    // of frames robust to changes in lighting. Each step can be switched on or
+    // off; listeners are told when any of them is.
+
+    // Constants
+    const MAX_MARGIN = 90;      // In percent. At 100, no frame could ever change the state.
+    const MIN_FRAMES = 1;       // A single frame is enough if the user asks for it.
+    const MIN_BLINK = 100;      // In ms. Shorter than any natural blink.
+
+    // Private variables
+    let marginElem = document.querySelector("input[type=number][name=gazeMargin]");
+    let framesElem = document.querySelector("input[type=number][name=gazeFrames]");
+    let blinkElem = document.querySelector("input[type=number][name=blinkDuration]");
+    let grayscaleElem = document.querySelector("input[type=checkbox][name=gazeGrayscale]");
+    let equalizeElem = document.querySelector("input[type=checkbox][name=gazeEqualize]");
+    let normalizeElem = document.querySelector("input[type=checkbox][name=gazeNormalize]");
+    let preprocessElems = [grayscaleElem, equalizeElem, normalizeElem];
+
+    // The public interface.
+    let that = {
+        getMargin: () => Math.min(Math.max(0, parseFloat(marginElem.value) || 0), MAX_MARGIN) / 100,
+        getFrames: () => Math.max(MIN_FRAMES, parseInt(framesElem.value) || MIN_FRAMES),
+        getBlinkDuration: () => Math.max(MIN_BLINK, parseInt(blinkElem.value) || MIN_BLINK),
+        getPreprocessing: () => ({ grayscale: grayscaleElem.checked,
+                                   equalize: equalizeElem.checked,
+                                   normalize: normalizeElem.checked }),
+        addPreprocessListener: (listener) =>
+            preprocessElems.forEach((elem) => elem.addEventListener("change", listener))
+    };
+
+    // Restore saved settings and return.
+    store.bind("gazeMargin", marginElem);
+    store.bind("gazeFrames", framesElem);
+    store.bind("blinkDuration", blinkElem);
+    store.bind("gazeGrayscale", grayscaleElem, "checked");
+    store.bind("gazeEqualize", equalizeElem, "checked");
+    store.bind("gazeNormalize", normalizeElem, "checked");
+    return that;
+}
+
+function makePhraseSettings(store, language) {
+    // Constructor for an object holding the phrase bank: saved phrases the user
+    // can select as a whole, instead of spelling them out. Phrases are grouped
+    // into categories, and kept separately for each language. The caregiver
+    // adds, edits, removes and reorders the phrases of the current language
+    // from the settings. The phrases are saved in the store, so each profile
+    // has its own.
+    // The object also holds what selecting a phrase does: write it to the
+    // buffer, or speak it right away.
+    // The categories are the rows of the phrase bank on the commboard; the
+    // caregiver picks among them by the names shown there.
+
+    // Constants
+    const MAX_PHRASES = 10;     // A category has room for this many phrases on the commboard.
+    const DEFAULT_PHRASES = {
+        en: { needs: ["I am thirsty", "I am hungry", "I need the bathroom", "I am cold", "I am hot"],
+              feelings: ["I am tired", "I am happy", "I am sad", "I am scared"],
+              people: ["Call my family", "Call the nurse", "Call the doctor"],
+              medical: ["I am in pain", "I can't breathe well", "I feel sick", "Please move me"] },
+        fr: { needs: ["J'ai soif", "J'ai faim", "J'ai besoin d'aller aux toilettes", "J'ai froid", "J'ai chaud"],
+              feelings: ["Je suis fatigué", "Je suis content", "Je suis triste", "J'ai peur"],
+              people: ["Appelez ma famille", "Appelez l'infirmière", "Appelez le médecin"],
+              medical: ["J'ai mal", "J'ai du mal à respirer", "J'ai la nausée", "Pouvez-vous me bouger"] }
+    };
+
+    // Private variables
+    let phrases;                // Lists of phrases, keyed by language, then by category.
+    let categoryElem = document.querySelector("select[name=phraseCategory]");
+    let listElem = document.querySelector("select[name=phraseList]");
+    let textElem = document.querySelector("input[type=text][name=phraseText]");
+    let actionElem = document.querySelector("select[name=phraseAction]");
+    let buttons = {
+        add: document.querySelector("input[type=button][name=addPhrase]"),
+        edit: document.querySelector("input[type=button][name=editPhrase]"),
+        remove: document.querySelector("input[type=button][name=removePhrase]"),
+        up: document.querySelector("input[type=button][name=phraseUp]"),
+        down: document.querySelector("input[type=button][name=phraseDown]")
+    };
+    let emitter = new EventEmitter();
+
+    // Private methods
+    function initCategories() {
+        // List the categories of the phrase bank in the dropdown menu.
+        function each(row) {
+            let label = row.querySelector(".phraseCategory");
+            let opt = document.createElement("option");
+            opt.value = row.dataset.category;
+            opt.dataset.languages = label.dataset.languages;
+            opt.text = JSON.parse(label.dataset.languages)[language.getLanguage()];
+            categoryElem.add(opt);
+        }
+        [].forEach.call(document.querySelectorAll("#phrases tr[data-category]"), each);
+    }
+    function getPhrases(category) {
+        // The phrases of a category, in the current language.
+        let lang = language.getLanguage();
+        if (!(lang in phrases)) {
+            phrases[lang] = {};
+        }
+        if (!(category in phrases[lang])) {
+            phrases[lang][category] = [];
+        }
+        return phrases[lang][category];
+    }
+    function showPhrases(selectedIx = -1) {
+        // Show the phrases of the chosen category, and select one of them.
+        listElem.innerHTML = "";
+        function each(phrase) {
+            let opt = document.createElement("option");
+            opt.text = phrase;
+            listElem.add(opt);
+        }
+        getPhrases(categoryElem.value).forEach(each);
+        listElem.selectedIndex = selectedIx;
+    }
+    function load() {
+        // Load the phrases saved in the store.
+        phrases = JSON.parse(JSON.stringify(store.get("phrases", DEFAULT_PHRASES)));
+        showPhrases();
+    }
+    function save(selectedIx) {
+        // Save the phrases and let listeners know they've changed.
+        store.set("phrases", phrases);
+        showPhrases(selectedIx);
+        emitter.emit("change");
+    }
+    function add() {
+        // Add the phrase typed by the caregiver at the end of the category.
+        let list = getPhrases(categoryElem.value);
+        let text = textElem.value.trim();
+        if (text !== "" && list.length < MAX_PHRASES) {
+            list.push(text);
+            textElem.value = "";
+            save(list.length - 1);
+        }
+    }
+    function edit() {
+        // Replace the selected phrase by the phrase typed by the caregiver.
+        let list = getPhrases(categoryElem.value);
+        let ix = listElem.selectedIndex;
+        let text = textElem.value.trim();
+        if (ix !== -1 && text !== "") {
+            list[ix] = text;
+            textElem.value = "";
+            save(ix);
+        }
+    }
+    function remove() {
+        // Remove the selected phrase.
+        let ix = listElem.selectedIndex;
+        if (ix !== -1) {
+            getPhrases(categoryElem.value).splice(ix, 1);
+            save();
+        }
+    }
+    function move(offset) {
+        // Move the selected phrase up (offset -1) or down (offset 1).
+        let list = getPhrases(categoryElem.value);
+        let ix = listElem.selectedIndex;
+        let newIx = ix + offset;
+        if (ix !== -1 && newIx >= 0 && newIx < list.length) {
+            [list[ix], list[newIx]] = [list[newIx], list[ix]];
+            save(newIx);
+        }
+    }
+    function select() {
+        // Put the selected phrase in the text field, ready to be edited.
+        textElem.value = listElem.value;
+    }
+
+    // The public interface.
+    let that = {
+        getPhrases: (category) => getPhrases(category).slice(0, MAX_PHRASES),
+        getAction: () => actionElem.value,
+        addChangeListener: (listener) => emitter.addListener("change", listener)
+    };
+
+    // Initialize, register event handlers and return.
+    initCategories();
+    load();
+    store.bind("phraseAction", actionElem);
+    store.addLoadListener(function() {
+        load();
+        emitter.emit("change");
+    });
+    language.addChangeListener(() => showPhrases());
+    categoryElem.addEventListener("change", () => showPhrases());
+    listElem.addEventListener("change", select);
+    buttons.add.addEventListener("click", add);
+    buttons.edit.addEventListener("click", edit);
+    buttons.remove.addEventListener("click", remove);
+    buttons.up.addEventListener("click", () => move(-1));
+    buttons.down.addEventListener("click", () => move(1));
+    return that;
+}
+
+function makeVocabularySettings() {
+    // Constructor for an object which lets the caregiver manage the words the
+    // predictor has learned from the user. The object doesn't hold the word
+    // counts itself; it just tells its listeners when the caregiver asks for
+    // the counts to be exported or reset, or for the predictor to be trained on
+    // files of past messages.
+
+    // Private variables
+    let exportButton = document.querySelector("input[type=button][name=exportVocabulary]");
+    let resetButton = document.querySelector("input[type=button][name=resetVocabulary]");
+    let trainButton = document.querySelector("input[type=button][name=trainVocabulary]");
+    let emitter = new EventEmitter();
+
+    // Private methods
+    const emitExport = () => emitter.emit("export");
+    const emitTrain = () => emitter.emit("train");
+    function emitReset() {
+        // Resetting can't be undone, so ask for confirmation first.
+        if (window.confirm("Forget all words learned from the user?")) {
+            emitter.emit("reset");
+        }
+    }
+
+    // The public interface.
+    let that = {
+        addExportListener: (listener) => emitter.addListener("export", listener),
+        addResetListener: (listener) => emitter.addListener("reset", listener),
+        addTrainListener: (listener) => emitter.addListener("train", listener)
+    };
+
+    // Register event handlers and return.
+    exportButton.addEventListener("click", emitExport);
+    resetButton.addEventListener("click", emitReset);
+    trainButton.addEventListener("click", emitTrain);
+    return that;
+}
+
+function makeHistorySettings() {
+    // Constructor for an object which lets the caregiver export the history of
+    // the user's messages (see message-history.js). Like the vocabulary
+    // settings, it just tells its listeners when the caregiver asks for the
+    // export.
+
+    // Private variables
+    let exportButton = document.querySelector("input[type=button][name=exportHistory]");
+    let emitter = new EventEmitter();
+
+    // The public interface.
+    let that = {
+        addExportListener: (listener) => emitter.addListener("export", listener)
+    };
+
+    // Register event handlers and return.
+    exportButton.addEventListener("click", () => emitter.emit("export"));
+    return that;
+}
+
+function showErrors(name, errors) {
+    // Show problems found in the caregiver's files (layouts, for instance) in
+    // the element whose data-errors attribute is name, one per line. Each
+    // problem is a message keyed by language, so that it's translated along
+    // with the rest of the page.
+    let elem = document.querySelector(`[data-errors=${name}]`);
+    let language = document.querySelector("select[name=language]").value;
+    function each(error) {
+        let p = document.createElement("p");
+        p.dataset.languages = JSON.stringify(error);
+        p.textContent = error[language];
+        elem.appendChild(p);
+    }
+    elem.innerHTML = "";
+    errors.forEach(each);
+}
@@ -17,7 +17,9 @@ function speaker(settings) {
     // Constructor function that creates a speaker object. The constructor takes
     // a settings object so that the speaker can determine the current language
     // being spoken. The speaker will update itself, and the list of available
-    // voices, when it detects that the user has changed languages.
+    // voices, when it detects that the user has changed languages. The name of
+    // the voice chosen by the user is saved in the settings store, and chosen
+    // again whenever it is available.
     // The returned object exposes methods to speak text both synchronously and
     // asynchronously.
 
@@ -27,6 +29,7 @@ function speaker(settings) {
     let voices;          // All available voices for the current language.
     let voiceElem = document.querySelector("select[name=voice]");
     let demoElem = document.querySelector("input[type=button][name=demo]");
+    let store = settings.getStore();
 
     // Private methods
     const getLanguage = settings.getLanguageSettings().getLanguage;
@@ -45,7 +48,7 @@ function speaker(settings) {
 
     function initVoices() {
         // Initialize the voices in the dropdown menu and register event handlers.
-        voiceElem.addEventListener("change", setVoice);      // Set voice when selection made.
+        voiceElem.addEventListener("change", chooseVoice);   // Set voice when selection made.
         demoElem.addEventListener("click", demo);            // Speak current voice as demo.
         updateVoices();
     }
@@ -61,16 +64,26 @@ function speaker(settings) {
             voiceElem.add(opt);
         }
         const correctLanguage = (voice) => voice.lang.includes(getLanguage());
+        const isSaved = (voice) => voice.name === store.get("voice");
         clearVoices();
         voices = window.speechSynthesis.getVoices().filter(correctLanguage);
         voices.forEach(each);
-        setVoice(voices);
+        let savedIx = voices.findIndex(isSaved);
+        if (savedIx !== -1) {
+            voiceElem.value = savedIx;
+        }
+        setVoice();
     }
     function setVoice() {
-        // Call this whenever the user changes the voice button.
+        // Set the voice to the one selected in the dropdown menu.
         let ix = parseInt(voiceElem.value);
         voice = voices[ix];
     }
+    function chooseVoice() {
+        // Call this whenever the user changes the voice button.
+        setVoice();
+        store.set("voice", voice.name);
+    }
 
     // Public methods
     function speakSync(text) {
@@ -113,10 +126,12 @@ function speaker(settings) {
 
     // Register event listeners.
     settings.getLanguageSettings().addChangeListener(updateVoices); // If the user changes the language, change the voices.
+    store.addLoadListener(updateVoices); // If the user changes profiles, choose that profile's voice.
     window.speechSynthesis.addEventListener("voiceschanged", initVoices); // Initialize voices once the page has loaded them.
 
     // Return an object with the relevant methods
     return { speakSync,
              speakAsync,
-             beep };
+             beep,
+             getAudioContext: () => audioContext };
 }
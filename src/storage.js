@@ -0,0 +1,203 @@
+"use strict";
+
+// npm imports
+const electron = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+// ************************************************************************** //
+
+// This module collects the procedures used to keep user data on disk between
+// sessions. All data lives in the application's user data directory, as
+// reported by Electron (for instance, ~/.config/wedjat on Linux). Data is
+// stored as JSON. Files are small, so they are read and written synchronously.
+//
+// Most data belongs to a single user profile (see profiles.js), and is kept in
+// that profile's directory, under "profiles" in the user data directory. The
+// module keeps track of the current profile, so that profilePath always points
+// into the directory of the profile in use.
+
+// ************************************************************************** //
+
+// Exports
+module.exports = { userPath,
+                   profilePath,
+                   setProfile,
+                   readJSON,
+                   writeJSON,
+                   exportJSON,
+                   importText,
+                   readDataURL,
+                   writeDataURL,
+                   removeFile,
+                   listFiles,
+                   copyDir,
+                   removeDir };
+
+let currentProfile = null;      // Id of the profile whose data is in use.
+
+function setProfile(id) {
+    // Direct all future reads and writes of profile data to profile id.
+    currentProfile = id;
+}
+
+function userPath(...parts) {
+    // Return the path of a file or directory in the user data directory.
+    let app = electron.remote.app;
+    return path.join(app.getPath("userData"), ...parts);
+}
+
+function profilePath(...parts) {
+    // Return the path of a file or directory belonging to the current profile.
+    return userPath("profiles", currentProfile, ...parts);
+}
+
+function ensureDir(dir) {
+    // Create directory dir, and its parents, if they don't exist yet.
+    if (!fs.existsSync(dir)) {
+        ensureDir(path.dirname(dir));
+        fs.mkdirSync(dir);
+    }
+}
+
+function readJSON(fileName, defaultValue, onCorrupt) {
+    // Read the JSON object stored in fileName. If the file doesn't exist yet,
+    // return defaultValue instead. A file that isn't valid JSON (truncated by
+    // a crash, say) mustn't keep the program from starting: it is renamed to
+    // end in ".corrupt", so that it isn't overwritten and can be looked at,
+    // and defaultValue is returned. If given, onCorrupt is passed the error,
+    // so that the caller can tell the caregiver.
+    let text;
+    try {
+        text = fs.readFileSync(fileName, "utf8");
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return defaultValue;
+        }
+        throw e;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        let corruptName = fileName + ".corrupt";
+        console.log(`Invalid JSON in ${fileName}, moved to ${corruptName}: ${e.message}`);
+        try {
+            fs.renameSync(fileName, corruptName);
+        } catch (renameError) {
+            console.log(`Can't move ${fileName}: ${renameError.message}`); // A read-only file, for instance.
+        }
+        if (onCorrupt !== undefined) {
+            onCorrupt(e);
+        }
+        return defaultValue;
+    }
+}
+
+function writeJSON(fileName, value) {
+    // Write value to fileName as JSON. The data is written to a temporary file
+    // first, so that a crash midway through can't leave a truncated file behind.
+    let tmpName = fileName + ".tmp";
+    ensureDir(path.dirname(fileName));
+    fs.writeFileSync(tmpName, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpName, fileName);
+}
+
+function exportJSON(value, defaultName) {
+    // Ask the user where to save a copy of value, then write it there. Returns
+    // the chosen file name, or undefined if the user cancelled.
+    let dialog = electron.remote.dialog;
+    let fileName = dialog.showSaveDialog({
+        defaultPath: defaultName,
+        filters: [{ name: "JSON", extensions: ["json"] }]
+    });
+    if (fileName !== undefined) {
+        writeJSON(fileName, value);
+    }
+    return fileName;
+}
+
+function importText() {
+    // Ask the user to choose one or more text files, and return their
+    // contents as a list of strings. The list is empty if the user cancelled.
+    let dialog = electron.remote.dialog;
+    let fileNames = dialog.showOpenDialog({
+        properties: ["openFile", "multiSelections"],
+        filters: [{ name: "Text", extensions: ["txt"] }]
+    });
+    return (fileNames || []).map((fileName) => fs.readFileSync(fileName, "utf8"));
+}
+
+function readDataURL(fileName) {
+    // Read an image file and return it as a data URL, suitable for the src of
+    // an Image. Return null if the file doesn't exist.
+    try {
+        let data = fs.readFileSync(fileName).toString("base64");
+        let type = path.extname(fileName).slice(1);
+        return `data:image/${type};base64,${data}`;
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return null;
+        }
+        throw e;
+    }
+}
+
+function writeDataURL(fileName, dataURL) {
+    // Write an image given as a data URL (e.g. from canvas.toDataURL) to a file.
+    let data = dataURL.slice(dataURL.indexOf(",") + 1);
+    ensureDir(path.dirname(fileName));
+    fs.writeFileSync(fileName, Buffer.from(data, "base64"));
+}
+
+function removeFile(fileName) {
+    // Delete a file, if it exists.
+    if (fs.existsSync(fileName)) {
+        fs.unlinkSync(fileName);
+    }
+}
+
+function listFiles(dir, extension) {
+    // Return the paths of the files in directory dir whose names end with
+    // extension (e.g. ".json"), in alphabetical order. Return an empty list if
+    // the directory doesn't exist.
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return (fs.readdirSync(dir)
+            .filter((name) => path.extname(name) === extension)
+            .sort()
+            .map((name) => path.join(dir, name)));
+}
+
+function copyDir(from, to) {
+    // Copy directory "from", with everything inside it, to "to".
+    ensureDir(to);
+    function each(name) {
+        let source = path.join(from, name);
+        let target = path.join(to, name);
+        if (fs.statSync(source).isDirectory()) {
+            copyDir(source, target);
+        } else {
+            fs.writeFileSync(target, fs.readFileSync(source));
+        }
+    }
+    if (fs.existsSync(from)) {
+        fs.readdirSync(from).forEach(each);
+    }
+}
+
+function removeDir(dir) {
+    // Delete directory dir, with everything inside it.
+    function each(name) {
+        let target = path.join(dir, name);
+        if (fs.statSync(target).isDirectory()) {
+            removeDir(target);
+        } else {
+            fs.unlinkSync(target);
+        }
+    }
+    if (fs.existsSync(dir)) {
+        fs.readdirSync(dir).forEach(each);
+        fs.rmdirSync(dir);
+    }
+}
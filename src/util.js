@@ -9,7 +9,10 @@ module.exports = { repeat,
                    pad,
                    capitalize,
                    all,
-                   renameKeys };
+                   renameKeys,
+                   lookup,
+                   normalizeWord,
+                   splitSentences };
 
 function repeat(x, n) {
     // Return an array consisting of element x repeated n times.
@@ -50,3 +53,23 @@ function renameKeys(obj, keys) {
     keys.forEach(each);
     return obj;
 }
+
+function lookup(obj, key, defaultValue) {
+    // Return obj[key] if obj has its own property key, otherwise
+    // defaultValue. Used for tables keyed by words, where a word like
+    // "constructor" would otherwise find a property inherited from Object.
+    return Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : defaultValue;
+}
+
+function normalizeWord(token) {
+    // Lowercase a word and strip any surrounding punctuation (quotes, commas,
+    // etc). Apostrophes and hyphens inside the word are kept.
+    const edges = /^[^a-z0-9\u00c0-\u024f]+|[^a-z0-9\u00c0-\u024f]+$/g;
+    return token.toLowerCase().replace(edges, "");
+}
+
+function splitSentences(text) {
+    // Split text into sentences, and each sentence into normalized words.
+    const toWords = (sentence) => sentence.split(/\s+/).map(normalizeWord).filter((w) => w !== "");
+    return text.split(/[.!?]+/).map(toWords).filter((words) => words.length > 0);
+}
@@ -6,6 +6,8 @@ const buffer = require("./buffer.js");
 const settings = require("./settings.js");
 const scanner = require("./scanner.js");
 const speaker = require("./speaker.js");
+const predictor = require("./predictor.js");
+const messageHistory = require("./message-history.js");
 
 // This is the top-level script that pulls in all the relevant modules and
 // initializes all objects needed for the program.
@@ -15,15 +17,19 @@ window.addEventListener("load", setup);
 function setup() {
     // Top-level setup to initialize the objects of the program.
     let st = settings();
-    let det = detector({ settings: st });
     let sp = speaker(st);
+    let det = detector({ settings: st, speaker: sp });
     let buf = buffer(sp);
+    let pr = predictor({ settings: st, buffer: buf });
+    let hs = messageHistory({ settings: st, buffer: buf });
 
     // Create menus (and implicitly buttons).
     let ms = menus({ detector: det,
                      buffer: buf,
                      settings: st,
-                     speaker: sp });
+                     speaker: sp,
+                     predictor: pr,
+                     history: hs });
 
     // Create the scanner.
     let sc = scanner(ms.composeMain, det, st, sp);